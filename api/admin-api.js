@@ -0,0 +1,158 @@
+// ======================================================================
+// == Admin API                                                        ==
+// ==                                                                  ==
+// == REST endpoints to create, list, rotate, disable and delete proxy ==
+// == keys, to manage the teams they belong to and to read the request ==
+// == logs and metrics. Every request needs the ADMIN_API_KEY as       ==
+// == bearer token.                                                    ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import express from "express";
+import { authenticateAdminRequest } from "./auth.js";
+import {
+    listProxyKeys,
+    getProxyKey,
+    createProxyKey,
+    updateProxyKey,
+    rotateProxyKey,
+    deleteProxyKey,
+    listTeams,
+    setTeam,
+    deleteTeam
+} from "./managed-keys.js";
+import { listRequestLogs } from "./usage.js";
+import { getDeploymentPoolStats } from "./deployment-pools.js";
+import { getClientCacheStats } from "./local-modules/bedrock-wrapper/bedrock-wrapper.js";
+
+
+// ----------------------------------------
+// -- create the router of the admin API --
+// ----------------------------------------
+// `rotationGracePeriodMs` is how long a rotated key keeps working unless
+// the rotate request sets its own `gracePeriodSeconds`
+export function createAdminRouter({ adminApiKey, rotationGracePeriodMs = 0 }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        const bearerToken = req.headers.authorization?.replace("Bearer ", "");
+        const auth = authenticateAdminRequest(bearerToken, { adminApiKey });
+        if (auth.error) {
+            return sendError(res, { status: auth.status, type: "auth_error", code: auth.status, message: auth.message });
+        }
+        next();
+    });
+
+    // -- keys --
+    router.get("/keys", handle(async (req, res) => {
+        res.json({ object: "list", data: await listProxyKeys() });
+    }));
+
+    router.post("/keys", handle(async (req, res) => {
+        const result = await createProxyKey(req.body);
+        if (result.error) { return sendError(res, result); }
+        res.status(201).json({ ...result.key, key: result.apiKey });
+    }));
+
+    router.get("/keys/:id", handle(async (req, res) => {
+        const key = await getProxyKey(req.params.id);
+        if (!key) {
+            return sendError(res, { status: 404, code: "key_not_found", message: `No key with the id '${req.params.id}'` });
+        }
+        res.json(key);
+    }));
+
+    router.patch("/keys/:id", handle(async (req, res) => {
+        const result = await updateProxyKey(req.params.id, req.body);
+        if (result.error) { return sendError(res, result); }
+        res.json(result.key);
+    }));
+
+    router.post("/keys/:id/rotate", handle(async (req, res) => {
+        const gracePeriodSeconds = req.body?.gracePeriodSeconds;
+        if (gracePeriodSeconds !== undefined && !(Number.isInteger(gracePeriodSeconds) && gracePeriodSeconds >= 0)) {
+            return sendError(res, { status: 400, code: "invalid_key_field", message: "gracePeriodSeconds must be a whole number of seconds" });
+        }
+        const result = await rotateProxyKey(req.params.id, {
+            gracePeriodMs: gracePeriodSeconds !== undefined ? gracePeriodSeconds * 1000 : rotationGracePeriodMs
+        });
+        if (result.error) { return sendError(res, result); }
+        res.json({ ...result.key, key: result.apiKey });
+    }));
+
+    router.post("/keys/:id/disable", handle(async (req, res) => {
+        const result = await updateProxyKey(req.params.id, { disabled: true });
+        if (result.error) { return sendError(res, result); }
+        res.json(result.key);
+    }));
+
+    router.post("/keys/:id/enable", handle(async (req, res) => {
+        const result = await updateProxyKey(req.params.id, { disabled: false });
+        if (result.error) { return sendError(res, result); }
+        res.json(result.key);
+    }));
+
+    router.delete("/keys/:id", handle(async (req, res) => {
+        const result = await deleteProxyKey(req.params.id);
+        if (result.error) { return sendError(res, result); }
+        res.json({ id: req.params.id, object: "proxy_key", deleted: true });
+    }));
+
+    // -- teams --
+    router.get("/teams", handle(async (req, res) => {
+        res.json({ object: "list", data: await listTeams() });
+    }));
+
+    router.put("/teams/:name", handle(async (req, res) => {
+        const result = await setTeam(req.params.name, req.body);
+        if (result.error) { return sendError(res, result); }
+        res.json(result.team);
+    }));
+
+    router.delete("/teams/:name", handle(async (req, res) => {
+        const result = await deleteTeam(req.params.name);
+        if (result.error) { return sendError(res, result); }
+        res.json({ name: req.params.name, object: "team", deleted: true });
+    }));
+
+    // -- request logs --
+    router.get("/logs", handle(async (req, res) => {
+        const result = await listRequestLogs(req.query);
+        if (result.error) {
+            return sendError(res, { status: 400, code: 400, message: result.message });
+        }
+        res.json({ object: "list", data: result.data });
+    }));
+
+    // -- metrics --
+    router.get("/metrics", handle(async (req, res) => {
+        res.json({ object: "metrics", bedrock_clients: getClientCacheStats(), deployment_pools: getDeploymentPoolStats() });
+    }));
+
+    return router;
+}
+
+
+// ----------------------------------------
+// -- send an error in the OpenAI format --
+// ----------------------------------------
+function sendError(res, { status, type = "invalid_request_error", code, message }) {
+    res.status(status).json({ error: { message, type, code } });
+}
+
+
+// ------------------------------------------------------
+// -- run an async route and answer 500 when it throws --
+// ------------------------------------------------------
+function handle(route) {
+    return async (req, res) => {
+        try {
+            await route(req, res);
+        } catch (error) {
+            console.error("Admin API request failed:", error.message);
+            sendError(res, { status: 500, type: "internal_server_error", code: 500, message: "The admin API request failed" });
+        }
+    };
+}
@@ -0,0 +1,155 @@
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import { extractAWSCreds } from "../utils.js";
+import {
+    PROXY_KEY_PREFIX,
+    resolveVirtualKeyCredentials
+} from "./virtual-keys.js";
+import { findProxyKey } from "./managed-keys.js";
+import { isAccessDeniedError } from "./credentials.js";
+
+
+// ------------------------------------------------------
+// -- authenticate a bearer token and return AWS creds --
+// ------------------------------------------------------
+// returns { error: true, status, message } or { error: false, awsCreds, key, caller, legacy? }
+// where `key` is the virtual key record (undefined for legacy keys),
+// `caller` names the caller in usage reports and `legacy` is set when the
+// caller brought its own AWS credentials in the token
+//
+// with `defaultCredentials` (the proxy's own provider chain) requests that
+// do not use a proxy key are served with the proxy's credentials, unless
+// proxy keys are enabled, in which case a proxy key is required (legacy
+// tokens with AWS credentials are rejected too)
+export async function authenticateRequest(bearerToken, { virtualKeysEnabled = false, legacyKeysEnabled = true, accountId, defaultCredentials, defaultRegion } = {}) {
+    if (defaultCredentials && !virtualKeysEnabled) {
+        return resolveDefaultCredentials(defaultCredentials, { region: defaultRegion, accountId });
+    }
+
+    if (!bearerToken) {
+        return { error: true, status: 401, message: "No authorization token provided" };
+    }
+
+    if (defaultCredentials && !bearerToken.startsWith(PROXY_KEY_PREFIX)) {
+        return { error: true, status: 401, message: "A proxy API key is required" };
+    }
+
+    if (bearerToken.startsWith(PROXY_KEY_PREFIX)) {
+        if (!virtualKeysEnabled) {
+            return { error: true, status: 401, message: "Proxy API keys are not enabled" };
+        }
+        const key = await findProxyKey(bearerToken);
+        if (!key) {
+            return { error: true, status: 401, message: "Invalid API key" };
+        }
+        if (key.disabled) {
+            return { error: true, status: 401, message: "This API key is disabled" };
+        }
+        try {
+            const awsCreds = await resolveVirtualKeyCredentials(key);
+            return { error: false, awsCreds: { ...awsCreds, accountId: awsCreds.accountId || accountId }, key, caller: key.name };
+        } catch (error) {
+            console.error(`Failed to resolve AWS credentials for key ${key.name}:`, error.message);
+            if (isAccessDeniedError(error)) {
+                // the role or its external id does not let the proxy in, retrying will not help
+                return { error: true, status: 403, message: `AWS refused to assume the IAM role of this API key (${error.name})` };
+            }
+            return { error: true, status: 500, message: "Failed to resolve AWS credentials for this API key" };
+        }
+    }
+
+    if (!legacyKeysEnabled) {
+        return { error: true, status: 401, message: "Invalid API key" };
+    }
+    const tokenParts = extractAWSCreds(bearerToken);
+    if (tokenParts.error) {
+        return { error: true, status: 401, message: tokenParts.message };
+    }
+    const { AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN } = tokenParts.credentials;
+    return {
+        error: false,
+        caller: AWS_ACCESS_KEY_ID,
+        legacy: true,
+        awsCreds: {
+            region: AWS_REGION,
+            accessKeyId: AWS_ACCESS_KEY_ID,
+            secretAccessKey: AWS_SECRET_ACCESS_KEY,
+            sessionToken: AWS_SESSION_TOKEN,
+            accountId
+        }
+    };
+}
+
+
+// --------------------------------------------------
+// -- authenticate a request for the usage reports --
+// --------------------------------------------------
+// returns { error: true, status, message } or { error: false, admin, key },
+// the admin API key sees the usage of every caller, a proxy key only its own
+export async function authenticateUsageRequest(bearerToken, { adminApiKey, virtualKeysEnabled = false } = {}) {
+    if (!bearerToken) {
+        return { error: true, status: 401, message: "No authorization token provided" };
+    }
+    if (isAdminToken(bearerToken, adminApiKey)) {
+        return { error: false, admin: true };
+    }
+    if (virtualKeysEnabled && bearerToken.startsWith(PROXY_KEY_PREFIX)) {
+        const key = await findProxyKey(bearerToken);
+        if (key && !key.disabled) {
+            return { error: false, admin: false, key };
+        }
+    }
+    return { error: true, status: 401, message: "Usage reports need the admin API key or a proxy API key" };
+}
+
+
+// ---------------------------------------------
+// -- authenticate a request of the admin API --
+// ---------------------------------------------
+// returns { error: true, status, message } or { error: false }
+export function authenticateAdminRequest(bearerToken, { adminApiKey } = {}) {
+    if (!bearerToken) {
+        return { error: true, status: 401, message: "No authorization token provided" };
+    }
+    if (!isAdminToken(bearerToken, adminApiKey)) {
+        return { error: true, status: 401, message: "The admin API needs the admin API key" };
+    }
+    return { error: false };
+}
+
+
+// ----------------------------------------
+// -- compare a token with the admin key --
+// ----------------------------------------
+// both sides are hashed so the comparison takes the same time for any length
+function isAdminToken(bearerToken, adminApiKey) {
+    if (!adminApiKey) { return false; }
+    const hash = (value) => crypto.createHash("sha256").update(value).digest();
+    return crypto.timingSafeEqual(hash(bearerToken), hash(adminApiKey));
+}
+
+
+// ----------------------------------------------------
+// -- use the proxy's own (provider chain) AWS creds --
+// ----------------------------------------------------
+async function resolveDefaultCredentials(defaultCredentials, { region, accountId }) {
+    try {
+        const credentials = await defaultCredentials();
+        return {
+            error: false,
+            caller: "default",
+            awsCreds: {
+                region,
+                accessKeyId: credentials.accessKeyId,
+                secretAccessKey: credentials.secretAccessKey,
+                sessionToken: credentials.sessionToken,
+                accountId
+            }
+        };
+    } catch (error) {
+        console.error("Failed to resolve AWS credentials from the default provider chain:", error.message);
+        return { error: true, status: 500, message: "Failed to resolve the proxy's AWS credentials" };
+    }
+}
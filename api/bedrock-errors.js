@@ -0,0 +1,117 @@
+// ======================================================================
+// == Bedrock Errors                                                   ==
+// ==                                                                  ==
+// == Maps the exceptions of the Bedrock runtime (and of the AWS SDK's ==
+// == credential handling) to an HTTP status and an OpenAI error       ==
+// == object, with the upstream message cleaned of account details.    ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { isExpiredCredentialsError } from "../utils.js";
+import { isThrottlingError, isRetryableError } from "./bedrock-retry.js";
+
+
+// credentials that are wrong or missing (expired ones are told apart)
+const INVALID_CREDENTIALS_ERRORS = [
+    "UnrecognizedClientException", "InvalidSignatureException", "IncompleteSignatureException",
+    "InvalidClientTokenId", "MissingAuthenticationTokenException"
+];
+
+// longest upstream message passed on to the client
+const MAX_MESSAGE_LENGTH = 500;
+
+
+// ---------------------------------------------------------
+// -- map a Bedrock error to a status and an OpenAI error --
+// ---------------------------------------------------------
+// returns { status, type, code, param, message, retryAfterMs? } or
+// undefined for errors that are not from Bedrock or the AWS SDK
+export function mapBedrockError(error) {
+    const name = error?.name;
+    const upstream = sanitizeMessage(error?.message);
+    const describe = (fallback) => upstream || fallback;
+
+    if (isExpiredCredentialsError(error)) {
+        // temporary (STS) credentials, the client has to fetch new ones
+        return { status: 401, type: "auth_error", code: "expired_credentials", param: null,
+            message: "The AWS credentials have expired, please refresh your temporary credentials" };
+    }
+    if (INVALID_CREDENTIALS_ERRORS.includes(name)) {
+        return { status: 401, type: "auth_error", code: "invalid_credentials", param: null,
+            message: describe("The AWS credentials were not accepted by Bedrock") };
+    }
+    if (name === "CredentialsProviderError") {
+        // the proxy's own credentials (provider chain) could not be loaded, the details stay in the log
+        return { status: 503, type: "server_error", code: "credentials_unavailable", param: null,
+            message: "The proxy could not load its AWS credentials" };
+    }
+
+    switch (name) {
+        case "ValidationException": {
+            if (/model identifier is invalid|model id .*(not found|invalid)/i.test(upstream)) {
+                return { status: 404, type: "invalid_request_error", code: "model_not_found", param: "model", message: upstream };
+            }
+            if (/too long|too many (input )?tokens|exceeds? .*context|prompt is too/i.test(upstream)) {
+                return { status: 400, type: "invalid_request_error", code: "context_length_exceeded", param: "messages", message: upstream };
+            }
+            const param = /max_tokens|max_gen_len|maxTokenCount|max_new_tokens/i.test(upstream) ? "max_tokens"
+                : /temperature/i.test(upstream) ? "temperature"
+                : /top_p|topP/.test(upstream) ? "top_p"
+                : /tool/i.test(upstream) ? "tools"
+                : null;
+            return { status: 400, type: "invalid_request_error", code: "invalid_request", param,
+                message: describe("Bedrock rejected the request") };
+        }
+        case "AccessDeniedException": {
+            const modelAccess = /access to the model/i.test(upstream);
+            return { status: 403, type: "permission_error", code: modelAccess ? "model_access_denied" : "access_denied",
+                param: modelAccess ? "model" : null,
+                message: describe("The AWS credentials are not allowed to call this model") };
+        }
+        case "ResourceNotFoundException":
+            return { status: 404, type: "invalid_request_error", code: "model_not_found", param: "model",
+                message: describe("The model was not found in this region") };
+        case "ModelNotReadyException":
+            return { status: 503, type: "server_error", code: "model_not_ready", param: null, retryAfterMs: error.retryAfterMs,
+                message: describe("The model is not ready yet, please try again later") };
+        case "ModelTimeoutException":
+            return { status: 504, type: "server_error", code: "model_timeout", param: null,
+                message: describe("The model took too long to respond") };
+        case "ServiceQuotaExceededException":
+            return { status: 429, type: "insufficient_quota", code: "service_quota_exceeded", param: null,
+                message: describe("The Bedrock service quota of the AWS account is used up") };
+        case "ModelErrorException":
+        case "ModelStreamErrorException":
+            return { status: 502, type: "server_error", code: "model_error", param: null,
+                message: describe("The model failed to process the request") };
+    }
+
+    // the retries ran out, the Retry-After lets the OpenAI SDKs retry later
+    if (isThrottlingError(error)) {
+        return { status: 429, type: "rate_limit_error", code: "rate_limit_exceeded", param: null, retryAfterMs: error.retryAfterMs,
+            message: "Bedrock is throttling requests, please try again later" };
+    }
+    if (isRetryableError(error)) {
+        return { status: 503, type: "server_error", code: "service_unavailable", param: null, retryAfterMs: error.retryAfterMs,
+            message: "Bedrock is temporarily unavailable, please try again later" };
+    }
+    return undefined;
+}
+
+
+// -----------------------------------------------------
+// -- remove account details from an upstream message --
+// -----------------------------------------------------
+// ARNs name the account, the IAM user or role and sometimes the access key
+function sanitizeMessage(message) {
+    if (typeof message !== "string") { return ""; }
+    const sanitized = message
+        .replace(/arn:aws[\w-]*:[^\s"',]+/g, "<arn>")
+        .replace(/\b(AKIA|ASIA)[A-Z0-9]{16}\b/g, "<access-key-id>")
+        .replace(/\b\d{12}\b/g, "<account-id>")
+        .replace(/\s+/g, " ")
+        .trim();
+    return sanitized.length > MAX_MESSAGE_LENGTH ? `${sanitized.slice(0, MAX_MESSAGE_LENGTH)}...` : sanitized;
+}
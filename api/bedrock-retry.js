@@ -0,0 +1,73 @@
+// ======================================================================
+// == Bedrock Retries                                                  ==
+// ==                                                                  ==
+// == Retries throttled and temporarily failing Bedrock calls with     ==
+// == exponential backoff and full jitter, as long as nothing has been ==
+// == sent to the client yet.                                          ==
+// ======================================================================
+
+// errors that mean Bedrock is throttling the caller's account or model
+const THROTTLING_ERRORS = ["ThrottlingException", "TooManyRequestsException"];
+// errors that usually go away on their own
+const TRANSIENT_ERRORS = [
+    "ServiceUnavailableException", "InternalServerException", "ModelNotReadyException",
+    "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "TimeoutError"
+];
+
+
+// ---------------------------------------------------
+// -- check if an error means Bedrock is throttling --
+// ---------------------------------------------------
+export function isThrottlingError(error) {
+    return THROTTLING_ERRORS.includes(error?.name) || error?.$metadata?.httpStatusCode === 429;
+}
+
+
+// ---------------------------------------------
+// -- check if a failed call is worth a retry --
+// ---------------------------------------------
+export function isRetryableError(error) {
+    if (isThrottlingError(error)) { return true; }
+    if (TRANSIENT_ERRORS.includes(error?.name) || TRANSIENT_ERRORS.includes(error?.code)) { return true; }
+    return [500, 502, 503, 504].includes(error?.$metadata?.httpStatusCode);
+}
+
+
+// -------------------------------------------------------
+// -- retry a bedrockWrapper call until its first chunk --
+// -------------------------------------------------------
+// `call` starts a new bedrockWrapper generator for every attempt. Once a
+// chunk was yielded the response may already be on its way to the client,
+// so later errors are thrown as they are. The error of the last attempt
+// gets a `retryAfterMs` property, a hint for the client's Retry-After.
+export async function* withBedrockRetries(call, { maxRetries = 2, baseDelayMs = 250, maxDelayMs = 5000, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        let started = false;
+        try {
+            for await (const chunk of call()) {
+                started = true;
+                yield chunk;
+            }
+            return;
+        } catch (error) {
+            if (started || !isRetryableError(error)) { throw error; }
+            const delayMs = backoffDelayMs(attempt, { baseDelayMs, maxDelayMs });
+            if (attempt >= maxRetries) {
+                error.retryAfterMs = delayMs;
+                throw error;
+            }
+            // full jitter: spread the retries of many callers over the whole window
+            const jitteredDelayMs = Math.round(Math.random() * delayMs);
+            onRetry?.(error, { attempt: attempt + 1, delayMs: jitteredDelayMs });
+            await new Promise((resolve) => setTimeout(resolve, jitteredDelayMs));
+        }
+    }
+}
+
+
+// ----------------------------------------------------------------
+// -- longest delay before retry `attempt` (exponential backoff) --
+// ----------------------------------------------------------------
+function backoffDelayMs(attempt, { baseDelayMs, maxDelayMs }) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
@@ -0,0 +1,12 @@
+// ==========================================================
+// == Create a proxy API key                               ==
+// ==                                                      ==
+// == Prints a new `sk-bp-...` key and its sha256 hash.    ==
+// == Hand the key to the client and store only the hash   ==
+// == (`key_sha256`) in the PROXY_KEYS_PATH file.          ==
+// ==========================================================
+import { generateProxyKey, hashProxyKey } from "./virtual-keys.js";
+
+const key = generateProxyKey();
+console.log(`key:        ${key}`);
+console.log(`key_sha256: ${hashProxyKey(key)}`);
@@ -0,0 +1,153 @@
+// ======================================================================
+// == Credential Sets                                                  ==
+// ==                                                                  ==
+// == AWS credentials held by the proxy itself. Virtual API keys point ==
+// == to a named credential set instead of carrying AWS secrets.       ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { fromIni, fromNodeProviderChain, fromTemporaryCredentials } from "@aws-sdk/credential-providers";
+
+
+// refresh temporary credentials this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// a role that STS refused is not asked for again during this time
+const DENIED_RETRY_MS = 60 * 1000;
+
+
+// ------------------------------------------------------
+// -- create a credential provider from a config entry --
+// ------------------------------------------------------
+// supported entries:
+//   { accessKeyId, secretAccessKey, sessionToken? }  → static keys from the config file
+//   { source: "env" }                 → AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN of the proxy process
+//   { profile: "name" }               → a profile from the shared AWS config / credentials files
+//   { source: "chain", profile? }     → the default AWS provider chain of the proxy process
+export function createCredentialProvider(name, config = {}) {
+    if (config.accessKeyId || config.secretAccessKey) {
+        if (!config.accessKeyId || !config.secretAccessKey) {
+            throw new Error(`Credential set "${name}" needs both accessKeyId and secretAccessKey`);
+        }
+        const credentials = {
+            accessKeyId: config.accessKeyId,
+            secretAccessKey: config.secretAccessKey,
+            sessionToken: config.sessionToken
+        };
+        return async () => credentials;
+    }
+    if (config.source === "env") {
+        return async () => {
+            if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+                throw new Error(`Credential set "${name}" uses the environment, but AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY are not set`);
+            }
+            return {
+                accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+                secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+                sessionToken: process.env.AWS_SESSION_TOKEN
+            };
+        };
+    }
+    if (config.source === "chain") {
+        return createDefaultCredentialProvider({ profile: config.profile });
+    }
+    if (config.profile) {
+        return cacheCredentials(fromIni({ profile: config.profile }));
+    }
+    throw new Error(`Credential set "${name}" must define accessKeyId / secretAccessKey, source: "env", source: "chain" or a profile`);
+}
+
+
+// --------------------------------------------------------
+// -- resolve credentials via the default provider chain --
+// --------------------------------------------------------
+// env vars → SSO / shared profile → credential_process → web identity
+// → container (ECS) metadata → instance (EC2) metadata
+export function createDefaultCredentialProvider({ profile } = {}) {
+    return cacheCredentials(fromNodeProviderChain(profile ? { profile } : {}));
+}
+
+
+// -------------------------------------------------------------
+// -- assume an IAM role on top of a base credential provider --
+// -------------------------------------------------------------
+// the session credentials are cached until shortly before they expire and a
+// refusal (see isAccessDeniedError) for DENIED_RETRY_MS, the STS endpoint can
+// be overridden with AWS_ENDPOINT_URL_STS
+export function createAssumeRoleProvider(baseProvider, { roleArn, externalId, sessionName, durationSeconds, region }) {
+    const assumeRole = cacheCredentials(fromTemporaryCredentials({
+        masterCredentials: baseProvider,
+        params: {
+            RoleArn: roleArn,
+            RoleSessionName: sessionName,
+            ...(externalId && { ExternalId: externalId }),
+            ...(durationSeconds && { DurationSeconds: durationSeconds })
+        },
+        clientConfig: { region }
+    }));
+    let denied;
+    return async () => {
+        if (denied && Date.now() < denied.until) { throw denied.error; }
+        try {
+            return await assumeRole();
+        } catch (error) {
+            if (isAccessDeniedError(error)) { denied = { error, until: Date.now() + DENIED_RETRY_MS }; }
+            throw error;
+        }
+    };
+}
+
+
+// -------------------------------------
+// -- did STS refuse to assume a role --
+// -------------------------------------
+// e.g. AccessDenied when the trust policy does not allow the base
+// credentials or the external id does not match
+export function isAccessDeniedError(error) {
+    return error?.name === "AccessDenied" || error?.$metadata?.httpStatusCode === 403;
+}
+
+
+// ---------------------------------------------------------------------
+// -- account id of an IAM role ARN (arn:aws:iam::<account>:role/...) --
+// ---------------------------------------------------------------------
+export function getRoleAccountId(roleArn) {
+    return /^arn:aws[\w-]*:iam::(\d{12}):role\//.exec(roleArn)?.[1];
+}
+
+
+// --------------------------------------------------------
+// -- cache provider results until shortly before expiry --
+// --------------------------------------------------------
+export function cacheCredentials(provider) {
+    let cached;
+    let pending;
+    return async () => {
+        if (cached && (!cached.expiration || cached.expiration.getTime() - Date.now() > REFRESH_MARGIN_MS)) {
+            return cached;
+        }
+        // concurrent callers share a single refresh
+        pending ??= provider().finally(() => { pending = undefined; });
+        cached = await pending;
+        return cached;
+    };
+}
+
+
+// ------------------------------------------------
+// -- build the credential sets of a config file --
+// ------------------------------------------------
+export function createCredentialSets(config = {}) {
+    const credentialSets = new Map();
+    for (const [name, entry] of Object.entries(config)) {
+        credentialSets.set(name, {
+            name,
+            region: entry.region,
+            accountId: entry.accountId,
+            resolve: createCredentialProvider(name, entry)
+        });
+    }
+    return credentialSets;
+}
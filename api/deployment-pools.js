@@ -0,0 +1,312 @@
+// ======================================================================
+// == Deployment Pools                                                 ==
+// ==                                                                  ==
+// == Spreads the requests for a model over a pool of deployments      ==
+// == (region, credentials and an optional provisioned throughput),    ==
+// == and takes deployments out of rotation while they keep failing.   ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { readFile } from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { createCredentialSets } from "./credentials.js";
+import { getCredentialSet } from "./virtual-keys.js";
+import { isRetryableError } from "./bedrock-retry.js";
+import { getBedrockWrapperSupportedModel } from "./local-modules/bedrock-wrapper/bedrock-wrapper.js";
+
+
+const STRATEGIES = ["weighted", "least-in-flight", "latency"];
+const DEPLOYMENT_FIELDS = ["name", "region", "credentials", "accountId", "provisionedModelArn", "weight"];
+const DEFAULT_EJECTION = { failures: 3, seconds: 30 };
+
+// weight of the newest sample in the moving average of the latency
+const LATENCY_SMOOTHING = 0.3;
+// share of the requests of a "latency" pool that are spread by weight instead,
+// only deployments that are picked get measured again (e.g. after a slow spell)
+const LATENCY_EXPLORATION = 0.1;
+
+// lower-case model name -> pool, swapped as a whole on load
+let pools = new Map();
+// credential sets of the pools file, the sets of the keys file are used as well
+let poolCredentialSets = new Map();
+
+
+// -------------------------------------------------------
+// -- load the deployment pools from a JSON / YAML file --
+// -------------------------------------------------------
+// file format:
+//   credentials: { <name>: <credential set> }   (same format as the proxy keys file, optional)
+//   pools: { <model>: { strategy?: "weighted" | "least-in-flight" | "latency",
+//                       ejection?: { failures, seconds },
+//                       deployments: [ { region, credentials?, accountId?, provisionedModelArn?, weight?, name? } ] } }
+//
+// deployments without `credentials` use the caller's own AWS credentials
+export async function loadDeploymentPools(filePath) {
+    const text = await readFile(filePath, "utf-8");
+    const extension = path.extname(filePath).toLowerCase();
+    const config = (extension === ".yaml" || extension === ".yml") ? YAML.parse(text) : JSON.parse(text);
+
+    const sets = createCredentialSets(config?.credentials ?? {});
+    const loaded = new Map();
+    for (const [model, settings] of Object.entries(config?.pools ?? {})) {
+        const supportedModel = await getBedrockWrapperSupportedModel(model);
+        if (!supportedModel) {
+            throw new Error(`Pool for unknown model "${model}"`);
+        }
+        const strategy = settings?.strategy ?? "weighted";
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Pool ${model} has an unknown strategy "${strategy}" (use ${STRATEGIES.join(", ")})`);
+        }
+        const ejection = { ...DEFAULT_EJECTION, ...settings?.ejection };
+        if (!(Number.isInteger(ejection.failures) && ejection.failures > 0) || !(Number.isInteger(ejection.seconds) && ejection.seconds > 0)) {
+            throw new Error(`Pool ${model} ejection needs positive integers for failures and seconds`);
+        }
+        if (!Array.isArray(settings?.deployments) || settings.deployments.length === 0) {
+            throw new Error(`Pool ${model} needs a list of deployments`);
+        }
+
+        const deployments = settings.deployments.map((entry, index) => {
+            const label = `Deployment ${index + 1} of pool ${model}`;
+            const unknownField = Object.keys(entry ?? {}).find((field) => !DEPLOYMENT_FIELDS.includes(field));
+            if (unknownField) {
+                throw new Error(`${label} has an unknown field "${unknownField}" (use ${DEPLOYMENT_FIELDS.join(", ")})`);
+            }
+            const credentialSet = entry.credentials !== undefined ? sets.get(entry.credentials) ?? getCredentialSet(entry.credentials) : undefined;
+            if (entry.credentials !== undefined && !credentialSet) {
+                throw new Error(`${label} references unknown credential set "${entry.credentials}"`);
+            }
+            const region = entry.region ?? credentialSet?.region;
+            if (!region) {
+                throw new Error(`${label} has no region`);
+            }
+            if (supportedModel.regions && !supportedModel.regions.includes(region) && !entry.provisionedModelArn) {
+                throw new Error(`${label}: ${supportedModel.modelName} is not available in region ${region}`);
+            }
+            if (entry.weight !== undefined && !(Number.isInteger(entry.weight) && entry.weight > 0)) {
+                throw new Error(`${label} weight must be a positive integer`);
+            }
+            return {
+                name: entry.name ?? `${region}/${entry.credentials ?? "caller"}${entry.provisionedModelArn ? "/provisioned" : ""}`,
+                region,
+                credentials: entry.credentials,
+                accountId: entry.accountId ?? credentialSet?.accountId,
+                provisionedModelArn: entry.provisionedModelArn,
+                weight: entry.weight ?? 1,
+                // selection and health state
+                currentWeight: 0,
+                inFlight: 0,
+                latencyMs: undefined,
+                consecutiveFailures: 0,
+                ejectedUntil: 0,
+                requests: 0,
+                errors: 0
+            };
+        });
+        loaded.set(supportedModel.modelName.toLowerCase(), { modelName: supportedModel.modelName, strategy, ejection, deployments });
+    }
+
+    poolCredentialSets = sets;
+    pools = loaded;
+    return loaded.size;
+}
+
+
+// ----------------------------------------------------------
+// -- call Bedrock through the deployments of a model pool --
+// ----------------------------------------------------------
+// `call(target)` starts a (retrying) bedrockWrapper call for a target of
+// { awsCreds, supportedModel, provisionedModelArn?, deployment? }. Models
+// without a pool are called with the target as it is. Otherwise a healthy
+// deployment is picked by the pool's strategy, and on retryable errors
+// before the first chunk the next one is tried; a deployment that fails
+// `ejection.failures` times in a row is skipped for `ejection.seconds`.
+//   accept(target)  → false skips a deployment, targets of deployments with
+//                     `credentials` have `proxyCredentials: true`
+//   onStart(target) → called with the target that answers, before its first chunk
+export async function* withDeploymentPool(target, call, { accept, onStart } = {}) {
+    const pool = pools.get(target.supportedModel.modelName.toLowerCase());
+    const candidates = pool?.deployments.filter((deployment) => !accept || accept(toTarget(deployment, target)));
+    if (!candidates?.length) {
+        yield* startCall(target, call, onStart);
+        return;
+    }
+
+    const tried = new Set();
+    let lastError;
+    while (tried.size < candidates.length) {
+        const now = Date.now();
+        const untried = candidates.filter((deployment) => !tried.has(deployment));
+        const healthy = untried.filter((deployment) => deployment.ejectedUntil <= now);
+        // with every deployment ejected one is still tried, the request would fail anyway
+        if (!healthy.length && tried.size > 0) { break; }
+        const deployment = selectDeployment(pool.strategy, healthy.length ? healthy : untried);
+        tried.add(deployment);
+
+        let deploymentTarget;
+        try {
+            deploymentTarget = await resolveDeploymentTarget(deployment, target);
+        } catch (error) {
+            console.warn(`Skipping deployment ${deployment.name} of pool ${pool.modelName}: ${error.message}`);
+            lastError = error;
+            continue;
+        }
+
+        const startedAt = Date.now();
+        let started = false;
+        deployment.inFlight++;
+        deployment.requests++;
+        try {
+            for await (const chunk of startCall(deploymentTarget, call, onStart)) {
+                if (!started) {
+                    started = true;
+                    recordSuccess(deployment, Date.now() - startedAt);
+                }
+                yield chunk;
+            }
+            if (!started) { recordSuccess(deployment, Date.now() - startedAt); }
+            return;
+        } catch (error) {
+            if (started || !isRetryableError(error)) { throw error; }
+            recordFailure(deployment, pool);
+            lastError = error;
+        } finally {
+            deployment.inFlight--;
+        }
+    }
+    throw lastError;
+}
+
+
+// ----------------------------------------
+// -- state of the pools for the metrics --
+// ----------------------------------------
+export function getDeploymentPoolStats() {
+    const now = Date.now();
+    return [...pools.values()].map((pool) => ({
+        model: pool.modelName,
+        strategy: pool.strategy,
+        deployments: pool.deployments.map((deployment) => ({
+            name: deployment.name,
+            region: deployment.region,
+            weight: deployment.weight,
+            inFlight: deployment.inFlight,
+            latencyMs: deployment.latencyMs === undefined ? null : Math.round(deployment.latencyMs),
+            requests: deployment.requests,
+            errors: deployment.errors,
+            healthy: deployment.ejectedUntil <= now,
+            ejectedUntil: deployment.ejectedUntil > now ? new Date(deployment.ejectedUntil).toISOString() : null
+        }))
+    }));
+}
+
+
+// ---------------------------------------------
+// -- start a call and report its first chunk --
+// ---------------------------------------------
+async function* startCall(target, call, onStart) {
+    let started = false;
+    for await (const chunk of call(target)) {
+        if (!started) {
+            started = true;
+            onStart?.(target);
+        }
+        yield chunk;
+    }
+}
+
+
+// ----------------------------------------------
+// -- pick a deployment by the pool's strategy --
+// ----------------------------------------------
+function selectDeployment(strategy, deployments) {
+    if (strategy === "least-in-flight") {
+        const least = Math.min(...deployments.map((deployment) => deployment.inFlight / deployment.weight));
+        return selectWeighted(deployments.filter((deployment) => deployment.inFlight / deployment.weight === least));
+    }
+    if (strategy === "latency") {
+        // deployments without a measurement are tried first so they get one
+        const unmeasured = deployments.filter((deployment) => deployment.latencyMs === undefined);
+        if (unmeasured.length) { return selectWeighted(unmeasured); }
+        if (Math.random() < LATENCY_EXPLORATION) { return selectWeighted(deployments); }
+        return deployments.reduce((fastest, deployment) => (deployment.latencyMs < fastest.latencyMs ? deployment : fastest));
+    }
+    return selectWeighted(deployments);
+}
+
+
+// -----------------------------------------------------------------
+// -- smooth weighted round-robin (spreads the heavy deployments) --
+// -----------------------------------------------------------------
+function selectWeighted(deployments) {
+    let totalWeight = 0;
+    let selected;
+    for (const deployment of deployments) {
+        deployment.currentWeight += deployment.weight;
+        totalWeight += deployment.weight;
+        if (!selected || deployment.currentWeight > selected.currentWeight) { selected = deployment; }
+    }
+    selected.currentWeight -= totalWeight;
+    return selected;
+}
+
+
+// ---------------------------------------------
+// -- update the health state of a deployment --
+// ---------------------------------------------
+// the latency is the time until the first chunk (the whole response when unstreamed)
+function recordSuccess(deployment, latencyMs) {
+    deployment.consecutiveFailures = 0;
+    deployment.latencyMs = deployment.latencyMs === undefined
+        ? latencyMs
+        : deployment.latencyMs + LATENCY_SMOOTHING * (latencyMs - deployment.latencyMs);
+}
+
+function recordFailure(deployment, pool) {
+    deployment.errors++;
+    deployment.consecutiveFailures++;
+    if (deployment.consecutiveFailures >= pool.ejection.failures) {
+        deployment.consecutiveFailures = 0;
+        deployment.ejectedUntil = Date.now() + pool.ejection.seconds * 1000;
+        console.warn(`Deployment ${deployment.name} of pool ${pool.modelName} ejected for ${pool.ejection.seconds}s`);
+    }
+}
+
+
+// ---------------------------------------------------
+// -- the target of a deployment before it resolves --
+// ---------------------------------------------------
+// used to ask `accept` about a deployment without resolving its credentials
+function toTarget(deployment, { awsCreds, supportedModel }) {
+    return {
+        awsCreds: { ...awsCreds, region: deployment.region },
+        supportedModel,
+        provisionedModelArn: deployment.provisionedModelArn,
+        deployment: deployment.name,
+        proxyCredentials: deployment.credentials !== undefined
+    };
+}
+
+
+// -------------------------------------------------
+// -- build the target of a deployment for a call --
+// -------------------------------------------------
+async function resolveDeploymentTarget(deployment, target) {
+    const deploymentTarget = toTarget(deployment, target);
+    if (deployment.credentials !== undefined) {
+        const credentialSet = poolCredentialSets.get(deployment.credentials) ?? getCredentialSet(deployment.credentials);
+        const credentials = await credentialSet.resolve();
+        deploymentTarget.awsCreds = {
+            region: deployment.region,
+            accessKeyId: credentials.accessKeyId,
+            secretAccessKey: credentials.secretAccessKey,
+            sessionToken: credentials.sessionToken,
+            accountId: deployment.accountId
+        };
+    } else if (deployment.accountId !== undefined) {
+        deploymentTarget.awsCreds.accountId = deployment.accountId;
+    }
+    return deploymentTarget;
+}
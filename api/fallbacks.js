@@ -0,0 +1,161 @@
+// ======================================================================
+// == Model Fallbacks                                                  ==
+// ==                                                                  ==
+// == Per model chains of other regions, other AWS accounts and other  ==
+// == (cheaper) models that take over when a Bedrock call keeps being  ==
+// == throttled or unavailable before its response has started.        ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { readFile } from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { createCredentialSets } from "./credentials.js";
+import { getCredentialSet } from "./virtual-keys.js";
+import { isRetryableError } from "./bedrock-retry.js";
+import { getBedrockWrapperSupportedModel } from "./local-modules/bedrock-wrapper/bedrock-wrapper.js";
+
+
+const STEP_FIELDS = ["model", "region", "credentials", "accountId"];
+
+// lower-case model name -> fallback steps, swapped as a whole on load
+let fallbackChains = new Map();
+// credential sets of the fallbacks file, the sets of the keys file are used as well
+let fallbackCredentialSets = new Map();
+
+
+// ------------------------------------------------------
+// -- load the fallback chains from a JSON / YAML file --
+// ------------------------------------------------------
+// file format:
+//   credentials: { <name>: <credential set> }   (same format as the proxy keys file, optional)
+//   fallbacks:   { <model>: [ { model?, region?, credentials?, accountId? } ] }
+//
+// every step is tried in order, fields it leaves out are taken from the
+// request: a step with only a `region` calls the same model with the same
+// credentials in that region, one with only a `model` calls a cheaper model
+export async function loadModelFallbacks(filePath) {
+    const text = await readFile(filePath, "utf-8");
+    const extension = path.extname(filePath).toLowerCase();
+    const config = (extension === ".yaml" || extension === ".yml") ? YAML.parse(text) : JSON.parse(text);
+
+    const sets = createCredentialSets(config?.credentials ?? {});
+    const chains = new Map();
+    for (const [model, steps] of Object.entries(config?.fallbacks ?? {})) {
+        const supportedModel = await getBedrockWrapperSupportedModel(model);
+        if (!supportedModel) {
+            throw new Error(`Fallbacks for unknown model "${model}"`);
+        }
+        if (!Array.isArray(steps)) {
+            throw new Error(`Fallbacks of ${model} must be a list of steps`);
+        }
+        const chain = [];
+        for (const [index, step] of steps.entries()) {
+            const label = `Fallback ${index + 1} of ${model}`;
+            if (typeof step !== "object" || step === null || !STEP_FIELDS.some((field) => step[field] !== undefined)) {
+                throw new Error(`${label} needs at least one of ${STEP_FIELDS.join(", ")}`);
+            }
+            const unknownField = Object.keys(step).find((field) => !STEP_FIELDS.includes(field));
+            if (unknownField) {
+                throw new Error(`${label} has an unknown field "${unknownField}" (use ${STEP_FIELDS.join(", ")})`);
+            }
+            const stepModel = step.model !== undefined ? await getBedrockWrapperSupportedModel(step.model) : supportedModel;
+            if (!stepModel) {
+                throw new Error(`${label} uses unknown model "${step.model}"`);
+            }
+            const credentialSet = step.credentials !== undefined ? sets.get(step.credentials) ?? getCredentialSet(step.credentials) : undefined;
+            if (step.credentials !== undefined && !credentialSet) {
+                throw new Error(`${label} references unknown credential set "${step.credentials}"`);
+            }
+            // steps without a region use the caller's, which is only known per request
+            const region = step.region ?? credentialSet?.region;
+            if (region && stepModel.regions && !stepModel.regions.includes(region)) {
+                throw new Error(`${label}: ${stepModel.modelName} is not available in region ${region}`);
+            }
+            chain.push({ ...step });
+        }
+        chains.set(supportedModel.modelName.toLowerCase(), chain);
+    }
+
+    fallbackCredentialSets = sets;
+    fallbackChains = chains;
+    return chains.size;
+}
+
+
+// --------------------------------------------------------
+// -- call Bedrock, falling back along the model's chain --
+// --------------------------------------------------------
+// `call(target)` starts a (retrying) bedrockWrapper call for a target of
+// { awsCreds, supportedModel }. The next step is only tried on retryable
+// errors (throttling, unavailable) of the previous one, errors of a call
+// that already yielded a chunk, or of a request Bedrock rejects anyway,
+// are thrown as they are.
+//   accept(target)            → false skips a step (e.g. a model the key may not use),
+//                               targets of a `credentials` step have `proxyCredentials: true`
+//   onFallback(error, target) → called before a step is tried
+export async function* withModelFallbacks({ awsCreds, supportedModel }, call, { accept, onFallback } = {}) {
+    const steps = fallbackChains.get(supportedModel.modelName.toLowerCase()) ?? [];
+    let lastError;
+    for (let i = 0; i <= steps.length; i++) {
+        let target = { awsCreds, supportedModel };
+        if (i > 0) {
+            try {
+                target = await resolveFallbackTarget(steps[i - 1], target);
+            } catch (error) {
+                console.warn(`Skipping fallback ${i} of ${supportedModel.modelName}: ${error.message}`);
+                continue;
+            }
+            if (!target || (accept && !accept(target))) { continue; }
+            onFallback?.(lastError, target);
+        }
+
+        let started = false;
+        try {
+            for await (const chunk of call(target)) {
+                started = true;
+                yield chunk;
+            }
+            return;
+        } catch (error) {
+            if (started || !isRetryableError(error)) { throw error; }
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+
+// ----------------------------------------------------------
+// -- build the target of a step from the original request --
+// ----------------------------------------------------------
+// returns undefined when the model is not available in the step's region
+async function resolveFallbackTarget(step, { awsCreds, supportedModel }) {
+    const model = step.model !== undefined ? await getBedrockWrapperSupportedModel(step.model) : supportedModel;
+    if (!model) {
+        throw new Error(`unknown model "${step.model}"`);
+    }
+
+    let targetCreds = { ...awsCreds };
+    if (step.credentials !== undefined) {
+        const credentialSet = fallbackCredentialSets.get(step.credentials) ?? getCredentialSet(step.credentials);
+        const credentials = await credentialSet.resolve();
+        targetCreds = {
+            region: credentialSet.region || awsCreds.region,
+            accessKeyId: credentials.accessKeyId,
+            secretAccessKey: credentials.secretAccessKey,
+            sessionToken: credentials.sessionToken,
+            accountId: credentialSet.accountId
+        };
+    }
+    const proxyCredentials = step.credentials !== undefined;
+    if (step.region !== undefined) { targetCreds.region = step.region; }
+    if (step.accountId !== undefined) { targetCreds.accountId = step.accountId; }
+
+    if (model.regions && !model.regions.includes(targetCreds.region)) {
+        return undefined;
+    }
+    return { awsCreds: targetCreds, supportedModel: model, proxyCredentials };
+}
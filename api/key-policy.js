@@ -0,0 +1,162 @@
+// ======================================================================
+// == Key Policy                                                       ==
+// ==                                                                  ==
+// == Per proxy key limits: allowed models, max_tokens cap, daily and  ==
+// == monthly token / request quotas and concurrent streams.           ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { isModelAllowedForKey } from "./virtual-keys.js";
+import { getStore } from "./store.js";
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// counters outlive their period a little, so clock skew between instances does not reset them early
+const PERIOD_TTL_MS = { day: 2 * DAY_MS, month: 32 * DAY_MS };
+
+// every stream holds its own slot, refreshed while the stream runs and dropped
+// after the ttl when its instance died without releasing it
+const STREAM_SLOT_TTL_MS = 5 * 60 * 1000;
+const STREAM_SLOT_REFRESH_MS = 60 * 1000;
+
+const QUOTA_LIMITS = [
+    { field: "requestsPerDay",   period: "day",   counter: "requests", label: "Daily request quota",   code: "daily_request_quota_exceeded" },
+    { field: "requestsPerMonth", period: "month", counter: "requests", label: "Monthly request quota", code: "monthly_request_quota_exceeded" },
+    { field: "tokensPerDay",     period: "day",   counter: "tokens",   label: "Daily token quota",     code: "daily_token_quota_exceeded" },
+    { field: "tokensPerMonth",   period: "month", counter: "tokens",   label: "Monthly token quota",   code: "monthly_token_quota_exceeded" },
+];
+
+
+// ---------------------------------------
+// -- current day / month period labels --
+// ---------------------------------------
+function getPeriods(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+}
+
+
+// -----------------------------------------------
+// -- store key of a key's counter for a period --
+// -----------------------------------------------
+// e.g. quota:<keyId>:day:2026-10-19:tokens
+function getCounterKey(key, period, label, counter) {
+    return `quota:${key.id}:${period}:${label}:${counter}`;
+}
+
+
+// ------------------------------------------------
+// -- add to the day and month counters of a key --
+// ------------------------------------------------
+async function addToCounters(key, counter, amount) {
+    const periods = getPeriods();
+    await Promise.all(["day", "month"].map((period) => getStore().increment(
+        getCounterKey(key, period, periods[period], counter),
+        amount,
+        PERIOD_TTL_MS[period]
+    )));
+}
+
+
+// ---------------------------------------------------------
+// -- check a request against the policy of its proxy key --
+// ---------------------------------------------------------
+// returns { error: false } or { error: true, status, type, code, param?, message }
+export async function checkKeyPolicy(key, { modelName, max_tokens }) {
+    if (!isModelAllowedForKey(key, modelName)) {
+        return {
+            error: true,
+            status: 403,
+            type: "permission_error",
+            param: "model",
+            code: "model_not_allowed",
+            message: `The model '${modelName}' is not allowed for this API key`
+        };
+    }
+    if (key.maxTokens && max_tokens > key.maxTokens) {
+        return {
+            error: true,
+            status: 403,
+            type: "permission_error",
+            param: "max_tokens",
+            code: "max_tokens_limit_exceeded",
+            message: `max_tokens of ${max_tokens} exceeds the limit of ${key.maxTokens} for this API key`
+        };
+    }
+
+    const periods = getPeriods();
+    for (const { field, period, counter, label, code } of QUOTA_LIMITS) {
+        const limit = key.quotas?.[field];
+        if (limit && (await getStore().get(getCounterKey(key, period, periods[period], counter)) ?? 0) >= limit) {
+            return {
+                error: true,
+                status: 429,
+                type: "insufficient_quota",
+                code,
+                message: `${label} of ${limit} ${counter} exceeded for this API key`
+            };
+        }
+    }
+    return { error: false };
+}
+
+
+// -------------------------------------------------------------
+// -- count a started request (and stream) against the quotas --
+// -------------------------------------------------------------
+// returns { error: false, release } where release() frees the stream slot
+// when the request ends, or a 429 error when all stream slots are taken
+export async function startKeyRequest(key, { stream }) {
+    let release = () => {};
+    if (stream && key.maxConcurrentStreams) {
+        const slotKey = `streams:${key.id}`;
+        // the slots are counted and taken in one step, so concurrent requests
+        // on several instances can not overbook
+        const slotId = await getStore().acquireSlot(slotKey, key.maxConcurrentStreams, STREAM_SLOT_TTL_MS);
+        if (!slotId) {
+            return {
+                error: true,
+                status: 429,
+                type: "rate_limit_error",
+                code: "concurrent_streams_exceeded",
+                message: `Limit of ${key.maxConcurrentStreams} concurrent streams reached for this API key`
+            };
+        }
+        const logError = (action) => (error) => {
+            console.error(`Failed to ${action} a stream slot of key ${key.name}:`, error.message);
+        };
+        // a stream that runs longer than the ttl keeps its slot
+        const refresher = setInterval(() => {
+            getStore().refreshSlot(slotKey, slotId, STREAM_SLOT_TTL_MS).then((held) => {
+                if (!held) { console.error(`A stream slot of key ${key.name} expired while its stream was still running`); }
+            }).catch(logError("refresh"));
+        }, STREAM_SLOT_REFRESH_MS);
+        refresher.unref();
+        let released = false;
+        release = () => {
+            if (released) { return; }
+            released = true;
+            clearInterval(refresher);
+            getStore().releaseSlot(slotKey, slotId).catch(logError("release"));
+        };
+    }
+    try {
+        await addToCounters(key, "requests", 1);
+    } catch (error) {
+        // the caller never gets the release function, free the slot here
+        release();
+        throw error;
+    }
+    return { error: false, release };
+}
+
+
+// ----------------------------------------------------
+// -- add the tokens of a finished request to quotas --
+// ----------------------------------------------------
+export async function recordKeyUsage(key, usage) {
+    await addToCounters(key, "tokens", usage?.total_tokens ?? 0);
+}
@@ -2,24 +2,51 @@
 
 // NOTE: Not all models are available in all regions.
 //       Check the bedrock documentation for availability.
-//       The Llama 3.2 modelId's reference cross-region profile ids.
+//       `regions` lists where a model can be invoked, requests from other regions are rejected.
+//       `modelId` can be a template resolved per request from the caller's region and account:
+//         {region}        → e.g. us-west-2
+//         {region_prefix} → cross-region profile prefix: us, us-gov, eu, apac, ca, ...
+//         {account_id}    → the configured AWS account id (for application inference profile ARNs)
 //       https://us-west-2.console.aws.amazon.com/bedrock/home?region=us-west-2#/cross-region-inference
-//anthropic.claude-3-5-sonnet-20241022-v2:0
-// v2:arn:aws:bedrock:us-east-1:009160038668:inference-profile/us.anthropic.claude-3-5-sonnet-20241022-v2:0
+//       `capabilities` describe what the wrapper supports for a model,
+//       `pricing` is the on-demand price in USD per 1K tokens.
 export const bedrock_models = [
      {
         // ==========================
         // == Claude 3.7 Sonnet v1 ==
         // ==========================
         "modelName":                     "Claude-3-7-Sonnet",
-        "modelId":                       "arn:aws:bedrock:us-east-1:009160038668:inference-profile/us.anthropic.claude-sonnet-4-20250514-v1:0",
+        "modelId":                       "{region_prefix}.anthropic.claude-sonnet-4-20250514-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2", "eu-central-1", "eu-west-1", "eu-west-3", "ap-northeast-1", "ap-northeast-2", "ap-south-1", "ap-southeast-1", "ap-southeast-2"],
         "messages_api":                  true,
         "system_as_separate_field":      true,
         "display_role_names":            true,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                200000,
+        "capabilities": {
+            "vision":        true,
+            "tools":         true,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.003,
+            "output_per_1k_tokens": 0.015
+        },
         "response_chunk_element":        "delta.text",
         "response_nonchunk_element":     "content[0].text",
+        "prompt_tokens_element":         "usage.input_tokens",
+        "completion_tokens_element":     "usage.output_tokens",
+        "stop_reason_chunk_element":     "delta.stop_reason",
+        "stop_reason_nonchunk_element":  "stop_reason",
+        "stop_reason_map": {
+            "end_turn":             "stop",
+            "stop_sequence":        "stop",
+            "max_tokens":           "length",
+            "tool_use":             "tool_calls",
+            "guardrail_intervened": "content_filter"
+        },
         "special_request_schema": {
             "anthropic_version": "bedrock-2023-05-31"
         }
@@ -29,14 +56,37 @@ export const bedrock_models = [
         // == Claude 3.5 Sonnet v2 ==
         // ==========================
         "modelName":                     "Claude-3-5-Sonnet-v2",
-        "modelId":                       "arn:aws:bedrock:us-east-1:009160038668:inference-profile/us.anthropic.claude-3-5-sonnet-20241022-v2:0",
+        "modelId":                       "{region_prefix}.anthropic.claude-3-5-sonnet-20241022-v2:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2", "ap-northeast-1", "ap-northeast-2", "ap-south-1", "ap-southeast-1", "ap-southeast-2"],
         "messages_api":                  true,
         "system_as_separate_field":      true,
         "display_role_names":            true,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                200000,
+        "capabilities": {
+            "vision":        true,
+            "tools":         true,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.003,
+            "output_per_1k_tokens": 0.015
+        },
         "response_chunk_element":        "delta.text",
         "response_nonchunk_element":     "content[0].text",
+        "prompt_tokens_element":         "usage.input_tokens",
+        "completion_tokens_element":     "usage.output_tokens",
+        "stop_reason_chunk_element":     "delta.stop_reason",
+        "stop_reason_nonchunk_element":  "stop_reason",
+        "stop_reason_map": {
+            "end_turn":             "stop",
+            "stop_sequence":        "stop",
+            "max_tokens":           "length",
+            "tool_use":             "tool_calls",
+            "guardrail_intervened": "content_filter"
+        },
         "special_request_schema": {
             "anthropic_version": "bedrock-2023-05-31"
         }
@@ -47,13 +97,36 @@ export const bedrock_models = [
         // =======================
         "modelName":                     "Claude-3-5-Sonnet",
         "modelId":                       "anthropic.claude-3-5-sonnet-20240620-v1:0",
+        "regions":                       ["us-east-1", "us-west-2", "eu-central-1", "ap-northeast-1", "ap-northeast-2", "ap-southeast-1"],
         "messages_api":                  true,
         "system_as_separate_field":      true,
         "display_role_names":            true,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                200000,
+        "capabilities": {
+            "vision":        true,
+            "tools":         true,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.003,
+            "output_per_1k_tokens": 0.015
+        },
         "response_chunk_element":        "delta.text",
         "response_nonchunk_element":     "content[0].text",
+        "prompt_tokens_element":         "usage.input_tokens",
+        "completion_tokens_element":     "usage.output_tokens",
+        "stop_reason_chunk_element":     "delta.stop_reason",
+        "stop_reason_nonchunk_element":  "stop_reason",
+        "stop_reason_map": {
+            "end_turn":             "stop",
+            "stop_sequence":        "stop",
+            "max_tokens":           "length",
+            "tool_use":             "tool_calls",
+            "guardrail_intervened": "content_filter"
+        },
         "special_request_schema": {
             "anthropic_version": "bedrock-2023-05-31"
         }
@@ -64,13 +137,36 @@ export const bedrock_models = [
         // ====================
         "modelName":                     "Claude-3-Haiku",
         "modelId":                       "anthropic.claude-3-haiku-20240307-v1:0",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "sa-east-1", "eu-central-1", "eu-west-1", "eu-west-3", "ap-northeast-1", "ap-northeast-2", "ap-south-1", "ap-southeast-1", "ap-southeast-2"],
         "messages_api":                  true,
         "system_as_separate_field":      true,
         "display_role_names":            true,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                200000,
+        "capabilities": {
+            "vision":        true,
+            "tools":         true,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00025,
+            "output_per_1k_tokens": 0.00125
+        },
         "response_chunk_element":        "delta.text",
         "response_nonchunk_element":     "content[0].text",
+        "prompt_tokens_element":         "usage.input_tokens",
+        "completion_tokens_element":     "usage.output_tokens",
+        "stop_reason_chunk_element":     "delta.stop_reason",
+        "stop_reason_nonchunk_element":  "stop_reason",
+        "stop_reason_map": {
+            "end_turn":             "stop",
+            "stop_sequence":        "stop",
+            "max_tokens":           "length",
+            "tool_use":             "tool_calls",
+            "guardrail_intervened": "content_filter"
+        },
         "special_request_schema": {
             "anthropic_version": "bedrock-2023-05-31"
         }
@@ -80,14 +176,37 @@ export const bedrock_models = [
         // == Claude 3.5 Haiku ==
         // ====================
         "modelName":                     "Claude-3-5-Haiku",
-        "modelId":                       "arn:aws:bedrock:us-east-1:009160038668:inference-profile/us.anthropic.claude-3-5-haiku-20241022-v1:0",
+        "modelId":                       "{region_prefix}.anthropic.claude-3-5-haiku-20241022-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2"],
         "messages_api":                  true,
         "system_as_separate_field":      true,
         "display_role_names":            true,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                200000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         true,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.0008,
+            "output_per_1k_tokens": 0.004
+        },
         "response_chunk_element":        "delta.text",
         "response_nonchunk_element":     "content[0].text",
+        "prompt_tokens_element":         "usage.input_tokens",
+        "completion_tokens_element":     "usage.output_tokens",
+        "stop_reason_chunk_element":     "delta.stop_reason",
+        "stop_reason_nonchunk_element":  "stop_reason",
+        "stop_reason_map": {
+            "end_turn":             "stop",
+            "stop_sequence":        "stop",
+            "max_tokens":           "length",
+            "tool_use":             "tool_calls",
+            "guardrail_intervened": "content_filter"
+        },
         "special_request_schema": {
             "anthropic_version": "bedrock-2023-05-31"
         }
@@ -97,8 +216,8 @@ export const bedrock_models = [
         // == Llama 3.2 1b ==
         // ==================
         "modelName":                     "Llama-3-2-1b",
-        // "modelId":                       "meta.llama3-2-1b-instruct-v1:0",
-        "modelId":                       "us.meta.llama3-2-1b-instruct-v1:0",
+        "modelId":                       "{region_prefix}.meta.llama3-2-1b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2", "eu-central-1", "eu-west-1", "eu-west-3"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -117,15 +236,33 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.0001,
+            "output_per_1k_tokens": 0.0001
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ==================
         // == Llama 3.2 3b ==
         // ==================
         "modelName":                     "Llama-3-2-3b",
-        // "modelId":                       "meta.llama3-2-3b-instruct-v1:0",
-        "modelId":                       "us.meta.llama3-2-3b-instruct-v1:0",
+        "modelId":                       "{region_prefix}.meta.llama3-2-3b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2", "eu-central-1", "eu-west-1", "eu-west-3"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -144,15 +281,33 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00015,
+            "output_per_1k_tokens": 0.00015
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ===================
         // == Llama 3.2 11b ==
         // ===================
         "modelName":                     "Llama-3-2-11b",
-        // "modelId":                       "meta.llama3-2-11b-instruct-v1:0",
-        "modelId":                       "us.meta.llama3-2-11b-instruct-v1:0",
+        "modelId":                       "{region_prefix}.meta.llama3-2-11b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -171,15 +326,33 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00016,
+            "output_per_1k_tokens": 0.00016
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ===================
         // == Llama 3.2 90b ==
         // ===================
         "modelName":                     "Llama-3-2-90b",
-        // "modelId":                       "meta.llama3-2-90b-instruct-v1:0",
-        "modelId":                       "us.meta.llama3-2-90b-instruct-v1:0",
+        "modelId":                       "{region_prefix}.meta.llama3-2-90b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-east-2", "us-west-2"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -198,7 +371,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00072,
+            "output_per_1k_tokens": 0.00072
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ==================
@@ -206,6 +397,7 @@ export const bedrock_models = [
         // ==================
         "modelName":                     "Llama-3-1-8b",
         "modelId":                       "meta.llama3-1-8b-instruct-v1:0",
+        "regions":                       ["us-west-2"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -224,7 +416,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00022,
+            "output_per_1k_tokens": 0.00022
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ===================
@@ -232,6 +442,7 @@ export const bedrock_models = [
         // ===================
         "modelName":                     "Llama-3-1-70b",
         "modelId":                       "meta.llama3-1-70b-instruct-v1:0",
+        "regions":                       ["us-west-2"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -250,7 +461,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00072,
+            "output_per_1k_tokens": 0.00072
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ====================
@@ -258,6 +487,7 @@ export const bedrock_models = [
         // ====================
         "modelName":                     "Llama-3-1-405b",
         "modelId":                       "meta.llama3-1-405b-instruct-v1:0",
+        "regions":                       ["us-west-2"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -276,7 +506,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                128000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.0024,
+            "output_per_1k_tokens": 0.0024
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ================
@@ -284,6 +532,7 @@ export const bedrock_models = [
         // ================
         "modelName":                     "Llama-3-8b",
         "modelId":                       "meta.llama3-8b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "eu-west-2", "ap-south-1"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -302,7 +551,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                8192,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.0003,
+            "output_per_1k_tokens": 0.0006
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // =================
@@ -310,6 +577,7 @@ export const bedrock_models = [
         // =================
         "modelName":                     "Llama-3-70b",
         "modelId":                       "meta.llama3-70b-instruct-v1:0",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "eu-west-2", "ap-south-1"],
         "messages_api":                  false,
         "bos_text":                      "<|begin_of_text|>",
         "role_system_message_prefix":    "",
@@ -328,7 +596,25 @@ export const bedrock_models = [
         "display_role_names":            true,
         "max_tokens_param_name":         "max_gen_len",
         "max_supported_response_tokens": 2048,
+        "context_window":                8192,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00265,
+            "output_per_1k_tokens": 0.0035
+        },
         "response_chunk_element":        "generation",
+        "prompt_tokens_element":         "prompt_token_count",
+        "completion_tokens_element":     "generation_token_count",
+        "stop_reason_chunk_element":     "stop_reason",
+        "stop_reason_map": {
+            "stop":   "stop",
+            "length": "length"
+        },
     },
     {
         // ================
@@ -336,6 +622,7 @@ export const bedrock_models = [
         // ================
         "modelName":                     "Mistral-7b",
         "modelId":                       "mistral.mistral-7b-instruct-v0:2",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "sa-east-1", "eu-west-1", "eu-west-2", "eu-west-3", "ap-south-1", "ap-southeast-2"],
         "messages_api":                  false,
         "bos_text":                      "<s>",
         "role_system_message_prefix":    "",
@@ -354,7 +641,24 @@ export const bedrock_models = [
         "display_role_names":            false,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                32000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00015,
+            "output_per_1k_tokens": 0.0002
+        },
         "response_chunk_element":        "outputs[0].text",
+        "stop_reason_chunk_element":     "outputs[0].stop_reason",
+        "stop_reason_map": {
+            "stop":         "stop",
+            "length":       "length",
+            "model_length": "length"
+        },
     },
     {
         // ==================
@@ -362,6 +666,7 @@ export const bedrock_models = [
         // ==================
         "modelName":                     "Mixtral-8x7b",
         "modelId":                       "mistral.mixtral-8x7b-instruct-v0:1",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "sa-east-1", "eu-west-1", "eu-west-2", "eu-west-3", "ap-south-1", "ap-southeast-2"],
         "messages_api":                  false,
         "bos_text":                      "<s>",
         "role_system_message_prefix":    "",
@@ -380,7 +685,24 @@ export const bedrock_models = [
         "display_role_names":            false,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 4096,
+        "context_window":                32000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.00045,
+            "output_per_1k_tokens": 0.0007
+        },
         "response_chunk_element":        "outputs[0].text",
+        "stop_reason_chunk_element":     "outputs[0].stop_reason",
+        "stop_reason_map": {
+            "stop":         "stop",
+            "length":       "length",
+            "model_length": "length"
+        },
     },
     {
         // ===================
@@ -388,6 +710,7 @@ export const bedrock_models = [
         // ===================
         "modelName":                     "Mistral-Large",
         "modelId":                       "mistral.mistral-large-2402-v1:0",
+        "regions":                       ["us-east-1", "us-west-2", "ca-central-1", "sa-east-1", "eu-west-1", "eu-west-2", "eu-west-3", "ap-southeast-2"],
         "messages_api":                  false,
         "bos_text":                      "<s>",
         "role_system_message_prefix":    "",
@@ -406,6 +729,33 @@ export const bedrock_models = [
         "display_role_names":            false,
         "max_tokens_param_name":         "max_tokens",
         "max_supported_response_tokens": 8192,
+        "context_window":                32000,
+        "capabilities": {
+            "vision":        false,
+            "tools":         false,
+            "system_prompt": true,
+            "streaming":     true
+        },
+        "pricing": {
+            "input_per_1k_tokens":  0.004,
+            "output_per_1k_tokens": 0.012
+        },
         "response_chunk_element":        "outputs[0].text",
+        "stop_reason_chunk_element":     "outputs[0].stop_reason",
+        "stop_reason_map": {
+            "stop":         "stop",
+            "length":       "length",
+            "model_length": "length"
+        },
     },
-];
\ No newline at end of file
+];
+
+
+// Aliases map other model names (e.g. hardcoded OpenAI model names in
+// third-party tools) to a `modelName` from the list above. Aliases of OpenAI
+// models that accept images point to models with `vision`.
+export const bedrock_model_aliases = {
+    "gpt-4o":        "Claude-3-5-Sonnet-v2",
+    "gpt-4o-mini":   "Claude-3-Haiku",
+    "gpt-3.5-turbo": "Claude-3-Haiku",
+};
\ No newline at end of file
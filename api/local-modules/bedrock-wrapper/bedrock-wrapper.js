@@ -10,16 +10,26 @@
 // -- imports --
 // -------------
 // Bedrock model configurations
-import { bedrock_models } from "./bedrock-models.js";
+import {
+    getBedrockModels, loadModelRegistry, watchModelRegistry,
+    resolveModelId, modelIdMatches, isModelAvailableInRegion,
+    resolveModelAlias, getModelAliases
+} from "./model-registry.js";
 // AWS SDK
 import {
-    BedrockRuntimeClient,
     InvokeModelCommand, InvokeModelWithResponseStreamCommand,
 } from "@aws-sdk/client-bedrock-runtime";
+// cached Bedrock runtime clients
+import { acquireBedrockClient, configureClientCache, getClientCacheStats } from "./client-cache.js";
 // helper functions
 import {
     getValueByPath,
-    writeAsciiArt
+    writeAsciiArt,
+    InvalidRequestError,
+    normalizeMessageContent,
+    convertOpenAIMessagesToAnthropic,
+    convertOpenAIToolsToAnthropic,
+    convertOpenAIToolChoiceToAnthropic
 } from "./utils.js";
 
 
@@ -27,35 +37,67 @@ import {
 writeAsciiArt();
 
 
+// re-export the error thrown for requests that can not be sent to bedrock
+export { InvalidRequestError };
+// re-export the model registry loaders
+export { loadModelRegistry, watchModelRegistry };
+// re-export the client cache settings and statistics
+export { configureClientCache, getClientCacheStats };
+
+
 // -------------------
 // -- main function --
 // -------------------
-export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObject, { logging = false } = {} ) {
-    const { region, accessKeyId, secretAccessKey } = awsCreds;
-    const { messages, model, max_tokens, stream, temperature, top_p } = openaiChatCompletionsCreateObject;
+export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObject, { logging = false, allowLocalImages = false, localImageRoot, includeMetadata = false, provisionedModelArn } = {} ) {
+    const { region, accessKeyId, secretAccessKey, sessionToken, accountId } = awsCreds;
+    const { messages, model, max_tokens, stream, temperature, top_p, tools, tool_choice, parallel_tool_calls } = openaiChatCompletionsCreateObject;
 
 
     // retrieve the model configuration
-    const awsModel = bedrock_models.find((x) => (x.modelName.toLowerCase() === model.toLowerCase() || x.modelId.toLowerCase() === model.toLowerCase()));
-    if (!awsModel) { throw new Error(`Model configuration not found for model: ${model}`); }
+    const awsModel = findBedrockModel(model);
+    if (!awsModel) { throw new InvalidRequestError(`Model configuration not found for model: ${model}`, { param: "model" }); }
+
+    // resolve the modelId for the caller's region and account (a provisioned throughput
+    // lives in the region of its ARN, whatever regions the on-demand model is offered in)
+    if (!provisionedModelArn && !isModelAvailableInRegion(awsModel, region)) {
+        throw new InvalidRequestError(`Model ${awsModel.modelName} is not available in region ${region} (available in: ${awsModel.regions.join(", ")})`, { param: "model", code: "model_not_available_in_region" });
+    }
+    // provisioned throughput is invoked by its ARN instead of the on-demand modelId
+    const modelId = provisionedModelArn || resolveModelId(awsModel.modelId, { region, accountId });
+    if (!modelId) {
+        throw new InvalidRequestError(`Model ${awsModel.modelName} requires an AWS account id`, { param: "model", code: "account_id_required" });
+    }
+
+    // tool calling is only available through the messages api
+    const use_tools = Array.isArray(tools) && tools.length > 0;
+    if (use_tools && !(awsModel.messages_api && awsModel.capabilities?.tools)) { throw new InvalidRequestError(`Tool calling is not supported for model: ${model}`, { param: "tools" }); }
+
+    // flatten multi-part content and convert image parts to image blocks
+    const normalized_messages = [];
+    for (const message of messages) {
+        normalized_messages.push({
+            ...message,
+            content: await normalizeMessageContent(message, awsModel, { allowLocalImages, localImageRoot }),
+        });
+    }
 
     // cleanup message content before formatting prompt message
     let message_cleaned = [];
     let system_message = "";
 
-    for (let i = 0; i < messages.length; i++) {
-        if (messages[i].content !== "") {
+    for (let i = 0; i < normalized_messages.length; i++) {
+        if (normalized_messages[i].content !== "") {
             // Extract system message only if model requires it as separate field
-            if (awsModel.system_as_separate_field && messages[i].role === "system") {
-                system_message = messages[i].content;
+            if (awsModel.system_as_separate_field && normalized_messages[i].role === "system") {
+                system_message = normalized_messages[i].content;
             } else {
-                message_cleaned.push(messages[i]);
+                message_cleaned.push(normalized_messages[i]);
             }
         } else if (awsModel.display_role_names) {
-            message_cleaned.push(messages[i]);
+            message_cleaned.push(normalized_messages[i]);
         }
 
-        if (i === (messages.length - 1) && messages[i].content !== "" && awsModel.display_role_names) {
+        if (i === (normalized_messages.length - 1) && normalized_messages[i].content !== "" && awsModel.display_role_names) {
             message_cleaned.push({role: "assistant", content: ""});
         }
     }
@@ -65,7 +107,7 @@ export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObjec
     // format prompt message from message array
     if (awsModel.messages_api) {
         // convert message array to prompt object if model supports messages api
-        prompt = message_cleaned;
+        prompt = convertOpenAIMessagesToAnthropic(message_cleaned);
     } else {
         // convert message array to prompt string if model does not support messages api
         prompt = awsModel.bos_text;
@@ -120,6 +162,8 @@ export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObjec
     const request = awsModel.messages_api ? {
         messages: prompt,
         ...(awsModel.system_as_separate_field && system_message && { system: system_message }), // Only add system field if model requires it and there's a system message
+        ...(use_tools && { tools: convertOpenAIToolsToAnthropic(tools) }),
+        ...(use_tools && tool_choice && { tool_choice: convertOpenAIToolChoiceToAnthropic(tool_choice, parallel_tool_calls) }),
         [awsModel.max_tokens_param_name]: max_gen_tokens,
         temperature: temperature,
         top_p: top_p,
@@ -133,48 +177,134 @@ export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObjec
         ...awsModel.special_request_schema
     };
     
-    // Create a Bedrock Runtime client in the AWS Region of your choice
-    const client = new BedrockRuntimeClient({
-        region: region,
-        credentials: {
-            accessKeyId: accessKeyId,
-            secretAccessKey: secretAccessKey,
-        },
-    });
-
-    if (stream) {
-        const responseStream = await client.send(
-            new InvokeModelWithResponseStreamCommand({
-                contentType: "application/json",
-                body: JSON.stringify(request),
-                modelId: awsModel.modelId,
-            }),
-        );
-        for await (const event of responseStream.body) {
-            const chunk = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
-            let result = getValueByPath(chunk, awsModel.response_chunk_element);
+    // reuse the cached Bedrock Runtime client of this region and credentials
+    const { client, release } = acquireBedrockClient({ region, accessKeyId, secretAccessKey, sessionToken });
+
+    try {
+        if (stream) {
+            const responseStream = await client.send(
+                new InvokeModelWithResponseStreamCommand({
+                    contentType: "application/json",
+                    body: JSON.stringify(request),
+                    modelId: modelId,
+                }),
+            );
+            // map content block indexes to openai tool call indexes
+            const tool_call_indexes = {};
+            let usage;
+            let stop_reason;
+            for await (const event of responseStream.body) {
+                const chunk = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+                if (awsModel.stop_reason_chunk_element) {
+                    stop_reason = getValueByPath(chunk, awsModel.stop_reason_chunk_element) || stop_reason;
+                }
+                // bedrock appends invocation metrics to the last chunk of every stream
+                const metrics = chunk["amazon-bedrock-invocationMetrics"];
+                if (metrics) {
+                    usage = buildUsage(metrics.inputTokenCount, metrics.outputTokenCount);
+                }
+                if (awsModel.messages_api) {
+                    if (chunk.type === "content_block_start" && chunk.content_block?.type === "tool_use") {
+                        const index = Object.keys(tool_call_indexes).length;
+                        tool_call_indexes[chunk.index] = index;
+                        yield { tool_call: { index, id: chunk.content_block.id, name: chunk.content_block.name, arguments: "" } };
+                        continue;
+                    } else if (chunk.type === "content_block_delta" && chunk.delta?.type === "input_json_delta") {
+                        yield { tool_call: { index: tool_call_indexes[chunk.index], arguments: chunk.delta.partial_json } };
+                        continue;
+                    }
+                }
+                let result = getValueByPath(chunk, awsModel.response_chunk_element);
+                if (result) {
+                    yield result;
+                }
+            }
+            if (includeMetadata && stop_reason) {
+                yield { finish_reason: mapFinishReason(awsModel, stop_reason) };
+            }
+            if (includeMetadata && usage) {
+                yield { usage };
+            }
+        } else {
+            const apiResponse = await client.send(
+                new InvokeModelCommand({
+                  contentType: "application/json",
+                  body: JSON.stringify(request),
+                  modelId: modelId,
+                }),
+              );
+        
+            const decodedBodyResponse = JSON.parse(new TextDecoder().decode(apiResponse.body));
+            let result;
+            if (awsModel.messages_api && Array.isArray(decodedBodyResponse.content)) {
+                // text and tool_use blocks can be interleaved, so join every text block
+                result = decodedBodyResponse.content.filter((block) => block.type === "text").map((block) => block.text).join("");
+            } else if (awsModel.response_nonchunk_element) {
+                result = getValueByPath(decodedBodyResponse, awsModel.response_nonchunk_element);
+            } else {
+                result = getValueByPath(decodedBodyResponse, awsModel.response_chunk_element);
+            }
             if (result) {
                 yield result;
             }
+
+            if (awsModel.messages_api && Array.isArray(decodedBodyResponse.content)) {
+                const tool_uses = decodedBodyResponse.content.filter((block) => block.type === "tool_use");
+                for (let i = 0; i < tool_uses.length; i++) {
+                    yield { tool_call: { index: i, id: tool_uses[i].id, name: tool_uses[i].name, arguments: JSON.stringify(tool_uses[i].input ?? {}) } };
+                }
+            }
+
+            const stop_reason_element = awsModel.stop_reason_nonchunk_element || awsModel.stop_reason_chunk_element;
+            const stop_reason = stop_reason_element && getValueByPath(decodedBodyResponse, stop_reason_element);
+            if (includeMetadata && stop_reason) {
+                yield { finish_reason: mapFinishReason(awsModel, stop_reason) };
+            }
+
+            if (includeMetadata && awsModel.prompt_tokens_element && awsModel.completion_tokens_element) {
+                const usage = buildUsage(
+                    getValueByPath(decodedBodyResponse, awsModel.prompt_tokens_element),
+                    getValueByPath(decodedBodyResponse, awsModel.completion_tokens_element)
+                );
+                if (usage) {
+                    yield { usage };
+                }
+            }
         }
-    } else {
-        const apiResponse = await client.send(
-            new InvokeModelCommand({
-              contentType: "application/json",
-              body: JSON.stringify(request),
-              modelId: awsModel.modelId,
-            }),
-          );
-        
-        const decodedBodyResponse = JSON.parse(new TextDecoder().decode(apiResponse.body));
-        let result;
-        if (awsModel.response_nonchunk_element) {
-            result = getValueByPath(decodedBodyResponse, awsModel.response_nonchunk_element);
-        } else {
-            result = getValueByPath(decodedBodyResponse, awsModel.response_chunk_element);
-        }
-        yield result;
-    }    
+    } finally {
+        release();
+    }
+}
+
+
+// ----------------------------------------------------
+// -- find a model configuration by name or model id --
+// ----------------------------------------------------
+function findBedrockModel(model) {
+    // aliases are resolved before the model lookup
+    const name = String(resolveModelAlias(model)).toLowerCase();
+    return getBedrockModels().find((x) => (x.modelName.toLowerCase() === name || modelIdMatches(x.modelId, name)));
+}
+
+
+// ----------------------------------------------
+// -- build an openai usage object from counts --
+// ----------------------------------------------
+function buildUsage(prompt_tokens, completion_tokens) {
+    if (!Number.isFinite(prompt_tokens) || !Number.isFinite(completion_tokens)) { return undefined; }
+    return {
+        prompt_tokens,
+        completion_tokens,
+        total_tokens: prompt_tokens + completion_tokens,
+    };
+}
+
+
+// ---------------------------------------------------------
+// -- map a native stop reason to an openai finish_reason --
+// ---------------------------------------------------------
+function mapFinishReason(awsModel, stop_reason) {
+    return awsModel.stop_reason_map?.[stop_reason] || "stop";
 }
 
 
@@ -182,9 +312,34 @@ export async function* bedrockWrapper(awsCreds, openaiChatCompletionsCreateObjec
 // -- list supported models --
 // ---------------------------
 export async function listBedrockWrapperSupportedModels() {
+    const bedrock_models = getBedrockModels();
     let supported_models = [];
     for (let i = 0; i < bedrock_models.length; i++) {
-        supported_models.push(`{"modelName": ${bedrock_models[i].modelName}, "modelId": ${bedrock_models[i].modelId}}`);
+        supported_models.push(toSupportedModel(bedrock_models[i]));
     }
     return supported_models;
 }
+
+
+// ---------------------------------------------------
+// -- get a supported model by modelName or modelId --
+// ---------------------------------------------------
+export async function getBedrockWrapperSupportedModel(model) {
+    const awsModel = findBedrockModel(model);
+    return awsModel ? toSupportedModel(awsModel) : undefined;
+}
+
+
+function toSupportedModel(awsModel) {
+    return {
+        modelName: awsModel.modelName,
+        modelId: awsModel.modelId,
+        aliases: getModelAliases(awsModel.modelName),
+        regions: awsModel.regions ? [...awsModel.regions] : undefined,
+        context_window: awsModel.context_window,
+        max_output_tokens: awsModel.max_supported_response_tokens,
+        capabilities: { ...awsModel.capabilities },
+        pricing: { ...awsModel.pricing },
+        rate_limits: awsModel.rate_limits ? { ...awsModel.rate_limits } : undefined,
+    };
+}
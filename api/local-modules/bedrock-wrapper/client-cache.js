@@ -0,0 +1,181 @@
+// ======================================================================
+// == Client Cache                                                     ==
+// ==                                                                  ==
+// == Keeps one BedrockRuntimeClient per region and set of credentials ==
+// == so calls reuse its pooled keep-alive connections, TLS sessions   ==
+// == and resolved endpoint instead of paying for them every time.     ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import { BedrockRuntimeClient } from "@aws-sdk/client-bedrock-runtime";
+import { NodeHttpHandler } from "@smithy/node-http-handler";
+
+
+const DEFAULT_OPTIONS = {
+    maxSize: 100,                   // clients kept at most (least recently used are evicted)
+    idleTimeoutMs: 15 * 60 * 1000,  // clients unused for longer are evicted
+    keepAlive: true,                // reuse sockets between requests
+    keepAliveMsecs: 1000,           // initial delay of TCP keep-alive probes
+    maxSockets: 50,                 // concurrent sockets per client
+    connectionTimeoutMs: 0,         // 0 = no timeout
+    requestTimeoutMs: 0,            // 0 = no timeout
+    maxAttempts: 3                  // attempts of the AWS SDK's own retry strategy (1 = no retries)
+};
+
+let options = { ...DEFAULT_OPTIONS };
+
+// cache key -> { client, lastUsed, inFlight, retired }, in least recently used order
+const clients = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+
+// ----------------------------------
+// -- configure the cached clients --
+// ----------------------------------
+// clients created with the previous options are dropped from the cache
+export function configureClientCache(newOptions = {}) {
+    const merged = { ...options };
+    for (const [name, value] of Object.entries(newOptions)) {
+        if (value === undefined) { continue; }
+        if (!(name in DEFAULT_OPTIONS)) {
+            throw new Error(`Unknown client cache option "${name}"`);
+        }
+        if (typeof DEFAULT_OPTIONS[name] === "boolean" ? typeof value !== "boolean" : !(Number.isInteger(value) && value >= 0)) {
+            throw new Error(`Client cache option "${name}" must be ${typeof DEFAULT_OPTIONS[name] === "boolean" ? "a boolean" : "a whole number >= 0"}`);
+        }
+        merged[name] = value;
+    }
+    for (const name of ["maxSize", "maxSockets", "maxAttempts"]) {
+        if (merged[name] < 1) { throw new Error(`Client cache option "${name}" must be at least 1`); }
+    }
+    options = merged;
+    for (const cacheKey of [...clients.keys()]) { evict(cacheKey); }
+    return { ...options };
+}
+
+
+// ---------------------------------------------------
+// -- get a client for a region and its credentials --
+// ---------------------------------------------------
+// call `release` once the response is consumed, evicted clients are only
+// destroyed when no response is streaming through their sockets anymore
+export function acquireBedrockClient({ region, accessKeyId, secretAccessKey, sessionToken }) {
+    const now = Date.now();
+    evictIdleClients(now);
+
+    // the secret is part of the key, knowing an access key id is not enough to reuse a client
+    const cacheKey = crypto.createHash("sha256")
+        .update(JSON.stringify([region, accessKeyId, secretAccessKey, sessionToken ?? null]))
+        .digest("hex");
+
+    let entry = clients.get(cacheKey);
+    if (entry) {
+        stats.hits++;
+        clients.delete(cacheKey);
+    } else {
+        stats.misses++;
+        entry = { client: createClient({ region, accessKeyId, secretAccessKey, sessionToken }), inFlight: 0, retired: false };
+        while (clients.size >= options.maxSize) { evict(clients.keys().next().value); }
+    }
+    entry.lastUsed = now;
+    entry.inFlight++;
+    clients.set(cacheKey, entry);
+
+    let released = false;
+    return {
+        client: entry.client,
+        release() {
+            if (released) { return; }
+            released = true;
+            entry.inFlight--;
+            if (entry.retired && entry.inFlight === 0) { entry.client.destroy(); }
+        }
+    };
+}
+
+
+// -----------------------------
+// -- statistics of the cache --
+// -----------------------------
+export function getClientCacheStats() {
+    const lookups = stats.hits + stats.misses;
+    let inFlight = 0;
+    for (const entry of clients.values()) { inFlight += entry.inFlight; }
+    return {
+        size: clients.size,
+        maxSize: options.maxSize,
+        hits: stats.hits,
+        misses: stats.misses,
+        evictions: stats.evictions,
+        hitRate: lookups ? Math.round(stats.hits / lookups * 10000) / 10000 : 0,
+        inFlight
+    };
+}
+
+
+// -----------------------------------------------------
+// -- create a client with the configured http agents --
+// -----------------------------------------------------
+function createClient({ region, accessKeyId, secretAccessKey, sessionToken }) {
+    return new BedrockRuntimeClient({
+        region: region,
+        credentials: {
+            accessKeyId: accessKeyId,
+            secretAccessKey: secretAccessKey,
+            sessionToken: sessionToken,
+        },
+        maxAttempts: options.maxAttempts,
+        // newer clients default to an HTTP/2 handler that ignores agent options, an explicit
+        // HTTP/1.1 handler applies them (every client owns its agents, destroying it closes its sockets)
+        requestHandler: new NodeHttpHandler({
+            httpAgent: new http.Agent(agentOptions()),
+            httpsAgent: new https.Agent(agentOptions()),
+            connectionTimeout: options.connectionTimeoutMs || undefined,
+            requestTimeout: options.requestTimeoutMs || undefined,
+            // fail the request instead of only logging a warning
+            throwOnRequestTimeout: true
+        })
+    });
+}
+
+
+// ---------------------------------------------
+// -- settings of the http agents of a client --
+// ---------------------------------------------
+function agentOptions() {
+    return {
+        keepAlive: options.keepAlive,
+        keepAliveMsecs: options.keepAliveMsecs,
+        maxSockets: options.maxSockets
+    };
+}
+
+
+// -------------------------------------------------
+// -- drop a client from the cache and release it --
+// -------------------------------------------------
+function evict(cacheKey) {
+    const entry = clients.get(cacheKey);
+    clients.delete(cacheKey);
+    stats.evictions++;
+    entry.retired = true;
+    if (entry.inFlight === 0) { entry.client.destroy(); }
+}
+
+
+// ------------------------------------------------------------
+// -- evict the clients that were not used for idleTimeoutMs --
+// ------------------------------------------------------------
+// the map is in least recently used order, so the idle clients come first
+function evictIdleClients(now) {
+    if (!options.idleTimeoutMs) { return; }
+    for (const [cacheKey, entry] of clients) {
+        if (now - entry.lastUsed < options.idleTimeoutMs) { break; }
+        evict(cacheKey);
+    }
+}
@@ -31,13 +31,7 @@ import {
 // -- Get and process supported models --
 // ----------------------------------------------
 const supportedModels = await listBedrockWrapperSupportedModels();
-const availableModels = supportedModels.map(model => {
-    // Fix both modelName and modelId by adding quotes
-    const fixedJson = model
-        .replace(/modelName": ([^,]+),/, 'modelName": "$1",')
-        .replace(/modelId": ([^}]+)}/, 'modelId": "$1"}');
-    return JSON.parse(fixedJson).modelName;
-});
+const availableModels = supportedModels.map(model => model.modelName);
 
 // Display models with numbers
 console.log('\nAvailable Models:');
@@ -0,0 +1,295 @@
+// ======================================================================
+// == Model Registry                                                   ==
+// ==                                                                  ==
+// == Holds the active model configurations: the built-in defaults     ==
+// == from bedrock-models.js merged with an optional JSON / YAML file. ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { bedrock_models, bedrock_model_aliases } from "./bedrock-models.js";
+import fs from "fs";
+import { readFile } from "fs/promises";
+import path from "path";
+
+
+// the active registry is swapped as a whole on reload, so callers that
+// already resolved a model configuration keep using their own copy
+let active_models = bedrock_models;
+let active_aliases = mergeModelAliases(bedrock_model_aliases);
+
+
+// --------------------------------
+// -- model configuration schema --
+// --------------------------------
+const REQUIRED_FIELDS = {
+    "modelName":                     "string",
+    "modelId":                       "string",
+    "messages_api":                  "boolean",
+    "display_role_names":            "boolean",
+    "max_tokens_param_name":         "string",
+    "max_supported_response_tokens": "number",
+    "response_chunk_element":        "string",
+};
+
+// prompt template fields required by models that do not use the messages api
+const PROMPT_TEMPLATE_FIELDS = [
+    "bos_text",
+    "role_system_message_prefix", "role_system_message_suffix", "role_system_prefix", "role_system_suffix",
+    "role_user_message_prefix", "role_user_message_suffix", "role_user_prefix", "role_user_suffix",
+    "role_assistant_message_prefix", "role_assistant_message_suffix", "role_assistant_prefix", "role_assistant_suffix",
+    "eom_text",
+];
+
+const OPTIONAL_FIELDS = {
+    "system_as_separate_field":     "boolean",
+    "response_nonchunk_element":    "string",
+    "prompt_tokens_element":        "string",
+    "completion_tokens_element":    "string",
+    "stop_reason_chunk_element":    "string",
+    "stop_reason_nonchunk_element": "string",
+    "context_window":               "number",
+    "capabilities":                 "object",
+    "pricing":                      "object",
+    "rate_limits":                  "object",
+    "stop_reason_map":              "object",
+    "special_request_schema":       "object",
+    "regions":                      "array",
+};
+
+// placeholders allowed in modelId templates
+const MODEL_ID_PLACEHOLDERS = ["region", "region_prefix", "account_id"];
+
+
+// -------------------------------------------
+// -- validate a single model configuration --
+// -------------------------------------------
+export function validateModelConfig(model) {
+    const errors = [];
+    const label = model?.modelName || "(unnamed model)";
+    const typeOf = (value) => Array.isArray(value) ? "array" : typeof value;
+
+    if (typeOf(model) !== "object" || model === null) {
+        return [`model entries must be objects`];
+    }
+    for (const [field, type] of Object.entries(REQUIRED_FIELDS)) {
+        if (model[field] === undefined) {
+            errors.push(`${label}: missing required field "${field}"`);
+        } else if (typeOf(model[field]) !== type) {
+            errors.push(`${label}: "${field}" must be a ${type}`);
+        }
+    }
+    if (model.messages_api === false) {
+        for (const field of PROMPT_TEMPLATE_FIELDS) {
+            if (typeof model[field] !== "string") {
+                errors.push(`${label}: "${field}" must be a string for models that do not use the messages api`);
+            }
+        }
+    }
+    for (const [field, type] of Object.entries(OPTIONAL_FIELDS)) {
+        if (model[field] !== undefined && typeOf(model[field]) !== type) {
+            errors.push(`${label}: "${field}" must be a ${type}`);
+        }
+    }
+    if (typeof model.modelId === "string") {
+        for (const [, placeholder] of model.modelId.matchAll(/\{([^}]*)\}/g)) {
+            if (!MODEL_ID_PLACEHOLDERS.includes(placeholder)) {
+                errors.push(`${label}: unknown modelId placeholder "{${placeholder}}"`);
+            }
+        }
+    }
+    return errors;
+}
+
+
+// -----------------------------------------------------
+// -- merge file model entries over the built-in list --
+// -----------------------------------------------------
+// entries whose modelName matches a built-in model override its fields,
+// all other entries are added as new models
+export function mergeModelConfigs(defaults, overrides) {
+    const merged = defaults.map((model) => ({ ...model }));
+    for (const override of overrides) {
+        const name = String(override?.modelName).toLowerCase();
+        const index = merged.findIndex((model) => model.modelName.toLowerCase() === name);
+        if (index === -1) {
+            merged.push({ ...override });
+        } else {
+            merged[index] = { ...merged[index], ...override };
+        }
+    }
+    return merged;
+}
+
+
+// --------------------------------------------------
+// -- merge file aliases over the built-in aliases --
+// --------------------------------------------------
+// an alias set to null in the file removes a built-in alias
+export function mergeModelAliases(defaults, overrides = {}) {
+    const merged = {};
+    for (const [alias, modelName] of Object.entries({ ...defaults, ...overrides })) {
+        if (modelName !== null) { merged[alias.toLowerCase()] = modelName; }
+    }
+    return merged;
+}
+
+
+// -----------------------------------
+// -- parse a JSON or YAML registry --
+// -----------------------------------
+async function parseRegistryFile(filePath) {
+    const text = await readFile(filePath, "utf-8");
+    const extension = path.extname(filePath).toLowerCase();
+    let parsed;
+    if (extension === ".yaml" || extension === ".yml") {
+        let YAML;
+        try {
+            YAML = (await import("yaml")).default;
+        } catch (error) {
+            throw new Error(`The "yaml" package is required to load ${path.basename(filePath)}`);
+        }
+        parsed = YAML.parse(text);
+    } else {
+        parsed = JSON.parse(text);
+    }
+    // accept either a bare array of models or an object with `models` and `aliases`
+    const models = Array.isArray(parsed) ? parsed : (parsed?.models ?? []);
+    const aliases = Array.isArray(parsed) ? {} : (parsed?.aliases ?? {});
+    if (!Array.isArray(models)) {
+        throw new Error(`${path.basename(filePath)} must contain an array of models or a "models" array`);
+    }
+    if (typeof aliases !== "object" || Array.isArray(aliases)) {
+        throw new Error(`${path.basename(filePath)} "aliases" must be an object of alias: modelName pairs`);
+    }
+    return { models, aliases };
+}
+
+
+// -----------------------------------------------------------
+// -- load a registry file, validate it, and make it active --
+// -----------------------------------------------------------
+// throws without touching the active registry when the file is invalid
+export async function loadModelRegistry(filePath) {
+    const { models: overrides, aliases } = await parseRegistryFile(filePath);
+    const merged = mergeModelConfigs(bedrock_models, overrides);
+    const merged_aliases = mergeModelAliases(bedrock_model_aliases, aliases);
+
+    const errors = merged.flatMap(validateModelConfig);
+    const names = new Set();
+    for (const model of merged) {
+        const name = String(model.modelName).toLowerCase();
+        if (names.has(name)) { errors.push(`${model.modelName}: duplicate modelName`); }
+        names.add(name);
+    }
+    for (const [alias, modelName] of Object.entries(merged_aliases)) {
+        if (names.has(alias)) {
+            errors.push(`alias "${alias}" shadows a modelName`);
+        } else if (typeof modelName !== "string" || !names.has(modelName.toLowerCase())) {
+            errors.push(`alias "${alias}" points to unknown model "${modelName}"`);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid model registry ${filePath}:\n  - ${errors.join("\n  - ")}`);
+    }
+
+    active_models = merged;
+    active_aliases = merged_aliases;
+    return active_models;
+}
+
+
+// --------------------------------------------------
+// -- reload the registry on file change or SIGHUP --
+// --------------------------------------------------
+export function watchModelRegistry(filePath, { onReload = () => {}, onError = () => {}, debounceMs = 200 } = {}) {
+    let timer;
+    const reload = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            loadModelRegistry(filePath).then(onReload, onError);
+        }, debounceMs);
+    };
+
+    // watch the directory so editors that replace the file are picked up
+    const watcher = fs.watch(path.dirname(path.resolve(filePath)), (eventType, fileName) => {
+        if (!fileName || fileName === path.basename(filePath)) { reload(); }
+    });
+    process.on("SIGHUP", reload);
+
+    return () => {
+        clearTimeout(timer);
+        watcher.close();
+        process.removeListener("SIGHUP", reload);
+    };
+}
+
+
+// --------------------------------------------------------
+// -- cross-region inference profile prefix for a region --
+// --------------------------------------------------------
+export function getRegionPrefix(region) {
+    if (region.startsWith("us-gov-")) { return "us-gov"; }
+    if (region.startsWith("ap-")) { return "apac"; }
+    return region.split("-")[0];
+}
+
+
+// ---------------------------------------------------------
+// -- resolve a modelId template for a region and account --
+// ---------------------------------------------------------
+// returns undefined when the template needs an account id that was not given
+export function resolveModelId(modelId, { region, accountId } = {}) {
+    if (modelId.includes("{account_id}") && !accountId) { return undefined; }
+    return modelId
+        .replaceAll("{region_prefix}", getRegionPrefix(region))
+        .replaceAll("{region}", region)
+        .replaceAll("{account_id}", accountId);
+}
+
+
+// ----------------------------------------------------------
+// -- check a concrete model id against a modelId template --
+// ----------------------------------------------------------
+export function modelIdMatches(modelId, id) {
+    const pattern = modelId
+        .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+        .replaceAll("{region_prefix}", "[a-z-]+")
+        .replaceAll("{region}", "[a-z0-9-]+")
+        .replaceAll("{account_id}", "\\d+");
+    return new RegExp(`^${pattern}$`, "i").test(id);
+}
+
+
+// ----------------------------------------------
+// -- check if a model can be used in a region --
+// ----------------------------------------------
+export function isModelAvailableInRegion(model, region) {
+    return !Array.isArray(model.regions) || model.regions.includes(region);
+}
+
+
+// -------------------------------------
+// -- return the active model configs --
+// -------------------------------------
+export function getBedrockModels() {
+    return active_models;
+}
+
+
+// ---------------------------------------------------
+// -- resolve a model alias to its target modelName --
+// ---------------------------------------------------
+// returns the passed model unchanged when it is not an alias
+export function resolveModelAlias(model) {
+    return active_aliases[String(model).toLowerCase()] ?? model;
+}
+
+
+// -------------------------------------
+// -- list the aliases of a modelName --
+// -------------------------------------
+export function getModelAliases(modelName) {
+    return Object.keys(active_aliases).filter((alias) => active_aliases[alias].toLowerCase() === modelName.toLowerCase());
+}
@@ -97,12 +97,7 @@ async function main() {
     );
 
     const supportedModels = await listBedrockWrapperSupportedModels();
-    const availableModels = supportedModels.map(model => {
-        const fixedJson = model
-            .replace(/modelName": ([^,]+),/, 'modelName": "$1",')
-            .replace(/modelId": ([^}]+)}/, 'modelId": "$1"}');
-        return JSON.parse(fixedJson).modelName;
-    });
+    const availableModels = supportedModels.map(model => model.modelName);
 
     console.clear();
     await logOutput(`Starting tests with ${availableModels.length} models...`, 'info');
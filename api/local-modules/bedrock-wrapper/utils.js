@@ -2,6 +2,23 @@
 // ** HELPER FUNCTIONS **
 // **********************
 
+import { readFile, realpath } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+
+// -----------------------------------------------------------------
+// -- error for requests that are rejected before calling bedrock --
+// -----------------------------------------------------------------
+export class InvalidRequestError extends Error {
+    constructor(message, { param = null, code = null } = {}) {
+        super(message);
+        this.name = "InvalidRequestError";
+        this.param = param;
+        this.code = code;
+    }
+}
+
 
 // ----------------------------------------------------
 // -- get a value from an object using a path string --
@@ -14,6 +31,218 @@ export function getValueByPath(obj, path) {
 }
 
 
+// -------------------------------------------------------------------
+// -- convert openai chat messages to anthropic messages api format --
+// -------------------------------------------------------------------
+export function convertOpenAIMessagesToAnthropic(messages) {
+    const converted = [];
+    for (const message of messages) {
+        if (message.role === "tool") {
+            // tool results are sent back as user content blocks,
+            // consecutive results are grouped into a single user turn
+            const toolResult = {
+                type: "tool_result",
+                tool_use_id: message.tool_call_id,
+                content: message.content ?? "",
+            };
+            const previous = converted[converted.length - 1];
+            if (previous && previous.role === "user" && Array.isArray(previous.content) && previous.content.every((block) => block.type === "tool_result")) {
+                previous.content.push(toolResult);
+            } else {
+                converted.push({ role: "user", content: [toolResult] });
+            }
+        } else if (message.role === "assistant" && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            const content = [];
+            if (Array.isArray(message.content)) {
+                content.push(...message.content);
+            } else if (message.content) {
+                content.push({ type: "text", text: message.content });
+            }
+            for (const toolCall of message.tool_calls) {
+                content.push({
+                    type: "tool_use",
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseToolArguments(toolCall.function.arguments),
+                });
+            }
+            converted.push({ role: "assistant", content });
+        } else {
+            converted.push({ role: message.role, content: message.content });
+        }
+    }
+    return converted;
+}
+
+
+// --------------------------------------------------
+// -- parse tool call arguments from a JSON string --
+// --------------------------------------------------
+function parseToolArguments(args) {
+    if (!args) { return {}; }
+    if (typeof args === "object") { return args; }
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        throw new InvalidRequestError(`Invalid JSON in tool call arguments: ${args}`, { param: "messages" });
+    }
+}
+
+
+// --------------------------------------------------------
+// -- convert openai tool definitions to anthropic tools --
+// --------------------------------------------------------
+export function convertOpenAIToolsToAnthropic(tools) {
+    return tools.map((tool) => {
+        if (tool.type !== "function" || !tool.function?.name) {
+            throw new InvalidRequestError(`Unsupported tool definition: ${JSON.stringify(tool)}`, { param: "tools" });
+        }
+        return {
+            name: tool.function.name,
+            ...(tool.function.description && { description: tool.function.description }),
+            input_schema: tool.function.parameters || { type: "object", properties: {} },
+        };
+    });
+}
+
+
+// ---------------------------------------------------------
+// -- convert openai tool_choice to anthropic tool_choice --
+// ---------------------------------------------------------
+export function convertOpenAIToolChoiceToAnthropic(toolChoice, parallelToolCalls) {
+    let converted;
+    if (toolChoice === "auto") {
+        converted = { type: "auto" };
+    } else if (toolChoice === "required") {
+        converted = { type: "any" };
+    } else if (toolChoice === "none") {
+        return { type: "none" };
+    } else if (toolChoice?.type === "function" && toolChoice.function?.name) {
+        converted = { type: "tool", name: toolChoice.function.name };
+    } else {
+        throw new InvalidRequestError(`Unsupported tool_choice: ${JSON.stringify(toolChoice)}`, { param: "tool_choice" });
+    }
+    if (parallelToolCalls === false) { converted.disable_parallel_tool_use = true; }
+    return converted;
+}
+
+
+// -----------------------------------------------------------
+// -- normalize openai string or multi-part message content --
+// -----------------------------------------------------------
+// returns a string for text-only content, or an array of anthropic
+// text / image blocks when the model supports vision
+export async function normalizeMessageContent(message, awsModel, { allowLocalImages = false, localImageRoot } = {}) {
+    const { content } = message;
+    if (!Array.isArray(content)) { return content; }
+
+    const hasImages = content.some((part) => part.type === "image_url");
+    if (hasImages && !awsModel.capabilities?.vision) {
+        throw new InvalidRequestError(`Model ${awsModel.modelName} does not support image inputs`, { param: "messages", code: "image_not_supported" });
+    }
+    if (hasImages && message.role !== "user") {
+        throw new InvalidRequestError(`Image content is only supported in user messages`, { param: "messages" });
+    }
+
+    if (!hasImages) {
+        const texts = content.map((part) => {
+            if (part.type !== "text") {
+                throw new InvalidRequestError(`Unsupported content part type: ${part.type}`, { param: "messages" });
+            }
+            return part.text;
+        }).filter((text) => text);
+        return awsModel.messages_api && texts.length > 0 ? texts.map((text) => ({ type: "text", text })) : texts.join("\n");
+    }
+
+    const blocks = [];
+    for (const part of content) {
+        if (part.type === "text") {
+            if (part.text) { blocks.push({ type: "text", text: part.text }); }
+        } else if (part.type === "image_url") {
+            blocks.push(await convertImageUrlToImageBlock(part.image_url?.url ?? part.image_url, { allowLocalImages, localImageRoot }));
+        } else {
+            throw new InvalidRequestError(`Unsupported content part type: ${part.type}`, { param: "messages" });
+        }
+    }
+    return blocks;
+}
+
+
+// -------------------------------------------------------------
+// -- convert an image_url to an anthropic base64 image block --
+// -------------------------------------------------------------
+const IMAGE_MEDIA_TYPES = {
+    ".jpg":  "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png":  "image/png",
+    ".gif":  "image/gif",
+    ".webp": "image/webp",
+};
+
+async function convertImageUrlToImageBlock(url, { allowLocalImages = false, localImageRoot } = {}) {
+    if (typeof url !== "string" || !url) {
+        throw new InvalidRequestError(`Missing image_url.url in image content part`, { param: "messages" });
+    }
+
+    let media_type;
+    let data;
+    const dataUrl = url.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (dataUrl) {
+        media_type = dataUrl[1].toLowerCase();
+        data = dataUrl[2];
+    } else if (/^https?:/i.test(url)) {
+        throw new InvalidRequestError(`Remote image URLs are not supported, send the image as a base64 data: URL`, { param: "messages", code: "invalid_image_url" });
+    } else {
+        if (!allowLocalImages || !localImageRoot) {
+            throw new InvalidRequestError(`Local image files are not enabled, send the image as a base64 data: URL`, { param: "messages", code: "invalid_image_url" });
+        }
+        const filePath = await resolveLocalImagePath(url.startsWith("file:") ? fileURLToPath(url) : url, localImageRoot);
+        media_type = IMAGE_MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+        if (!media_type) {
+            throw new InvalidRequestError(`Unsupported image file type: ${path.basename(filePath)}`, { param: "messages", code: "invalid_image_format" });
+        }
+        try {
+            data = (await readFile(filePath)).toString("base64");
+        } catch (error) {
+            throw new InvalidRequestError(`Unable to read image file: ${path.basename(filePath)}`, { param: "messages", code: "invalid_image_url" });
+        }
+    }
+
+    if (!Object.values(IMAGE_MEDIA_TYPES).includes(media_type)) {
+        throw new InvalidRequestError(`Unsupported image media type: ${media_type}`, { param: "messages", code: "invalid_image_format" });
+    }
+
+    return {
+        type: "image",
+        source: { type: "base64", media_type, data },
+    };
+}
+
+
+// --------------------------------------------------------------
+// -- resolve a local image path, it must stay inside the root --
+// --------------------------------------------------------------
+// relative paths are taken from the root, symlinks are followed before
+// the check so a link inside the root cannot point outside of it
+async function resolveLocalImagePath(filePath, localImageRoot) {
+    const outsideRoot = () => new InvalidRequestError(`Image file is outside the local image directory: ${path.basename(filePath)}`, { param: "messages", code: "invalid_image_url" });
+    const isInside = (root, target) => target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+
+    const root = path.resolve(localImageRoot);
+    const resolved = path.resolve(root, filePath);
+    if (!isInside(root, resolved)) { throw outsideRoot(); }
+
+    let real;
+    try {
+        real = await realpath(resolved);
+    } catch (error) {
+        throw new InvalidRequestError(`Unable to read image file: ${path.basename(filePath)}`, { param: "messages", code: "invalid_image_url" });
+    }
+    if (!isInside(await realpath(root), real)) { throw outsideRoot(); }
+    return real;
+}
+
+
 // --------------------------
 // -- write ascii art logo --
 // --------------------------
@@ -0,0 +1,344 @@
+// ======================================================================
+// == Managed Keys                                                     ==
+// ==                                                                  ==
+// == Proxy keys and teams created through the admin API. They live in ==
+// == the storage next to the keys of the PROXY_KEYS_PATH file, only   ==
+// == the sha256 hash of a key is kept.                                ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import {
+    generateProxyKey,
+    hashProxyKey,
+    findVirtualKey,
+    listVirtualKeys,
+    getFileTeams,
+    createVirtualKeyRecord,
+    validateBudgets
+} from "./virtual-keys.js";
+
+
+// the same fields as a key in the PROXY_KEYS_PATH file
+const POLICY_FIELDS = [
+    "credentials", "region", "accountId", "models", "roleArn", "externalId", "durationSeconds",
+    "maxTokens", "maxConcurrentStreams", "quotas", "requestsPerMinute", "tokensPerMinute", "team", "budgets"
+];
+
+// fields of a stored key that are managed by the proxy, not by the admin API
+const STORED_FIELDS = ["id", "keyHash", "keyPreview", "previousKeyExpiresAt", "rotatedAt", "createdAt"];
+
+// the last used time is written at most once a minute per key and instance
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+const lastUsedWrites = new Map();
+
+// runtime records (with their credential providers) of the managed keys,
+// rebuilt when the stored key changes
+const recordCache = new Map();
+
+
+// -----------------------------------------------
+// -- find the key record of a bearer proxy key --
+// -----------------------------------------------
+// keys of the file are checked first, returns undefined for unknown keys,
+// disabled keys are returned with `disabled: true`
+export async function findProxyKey(bearerToken) {
+    // only the key's own team is read, a managed team overrides the budgets of the file
+    const withTeamBudgets = async (record) => {
+        const team = record.team && await getStorage().getTeam(record.team);
+        return team ? { ...record, teamBudgets: team.budgets } : record;
+    };
+    const fileKey = findVirtualKey(bearerToken);
+    if (fileKey) { return withTeamBudgets(fileKey); }
+
+    const stored = await getStorage().findKeyByHash(hashProxyKey(bearerToken));
+    if (!stored) { return undefined; }
+    if (stored.disabled) { return { id: stored.id, name: stored.name, disabled: true }; }
+
+    let cached = recordCache.get(stored.id);
+    if (cached?.updatedAt !== stored.updatedAt) {
+        cached = { updatedAt: stored.updatedAt, record: buildRecord(stored) };
+        recordCache.set(stored.id, cached);
+    }
+    return withTeamBudgets(cached.record);
+}
+
+
+// ---------------------------------------
+// -- remember when a key was last used --
+// ---------------------------------------
+export function recordKeyUse(key) {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(key.id) ?? 0) < LAST_USED_INTERVAL_MS) { return; }
+    lastUsedWrites.set(key.id, now);
+    getStorage().setKeyLastUsed(key.id, new Date(now).toISOString()).catch((error) => {
+        console.error(`Failed to update the last used time of key ${key.name}:`, error.message);
+    });
+}
+
+
+// -----------------------------------------------
+// -- list all keys (managed and from the file) --
+// -----------------------------------------------
+export async function listProxyKeys() {
+    const lastUsed = await getStorage().getKeysLastUsed();
+    return [
+        ...listVirtualKeys().map((record) => toAdminKey(toStoredFileKey(record), "file", lastUsed)),
+        ...(await getStorage().listKeys()).map((stored) => toAdminKey(stored, "admin", lastUsed))
+    ];
+}
+
+
+// -------------------------
+// -- get a key by its id --
+// -------------------------
+export async function getProxyKey(id) {
+    const lastUsed = await getStorage().getKeysLastUsed();
+    const fileKey = listVirtualKeys().find((record) => record.id === id);
+    if (fileKey) { return toAdminKey(toStoredFileKey(fileKey), "file", lastUsed); }
+    const stored = await getStorage().getKey(id);
+    return stored ? toAdminKey(stored, "admin", lastUsed) : undefined;
+}
+
+
+// --------------------------
+// -- create a managed key --
+// --------------------------
+// returns { error: true, status, code, message } or { error: false, key, apiKey }
+// where `apiKey` is the plain key, it is only returned here and on rotation
+export async function createProxyKey(fields = {}) {
+    const check = await validateKeyFields(fields);
+    if (check.error) { return check; }
+
+    const apiKey = generateProxyKey();
+    const now = new Date().toISOString();
+    const stored = {
+        id: `key_${crypto.randomBytes(8).toString("hex")}`,
+        name: fields.name,
+        ...pickPolicyFields(fields),
+        keyHash: hashProxyKey(apiKey),
+        keyPreview: `${apiKey.slice(0, 9)}...${apiKey.slice(-4)}`,
+        disabled: fields.disabled === true,
+        createdAt: now,
+        updatedAt: now
+    };
+    await getStorage().saveKey(stored);
+    await getStorage().setKeyHash(stored.keyHash, stored.id);
+    return { error: false, key: toAdminKey(stored, "admin"), apiKey };
+}
+
+
+// ----------------------------------------
+// -- update the fields of a managed key --
+// ----------------------------------------
+// fields set to null are removed
+export async function updateProxyKey(id, fields = {}) {
+    const stored = await getManagedKey(id);
+    if (stored.error) { return stored; }
+
+    const changes = { name: stored.name, ...pickPolicyFields(stored), disabled: stored.disabled };
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === null) { delete changes[field]; } else { changes[field] = value; }
+    }
+    const check = await validateKeyFields(changes, { id });
+    if (check.error) { return check; }
+
+    const updated = { ...pick(stored, STORED_FIELDS), ...changes, disabled: changes.disabled === true };
+    updated.updatedAt = new Date().toISOString();
+    await getStorage().saveKey(updated);
+    return { error: false, key: await getProxyKey(id) };
+}
+
+
+// ----------------------------------------------------------
+// -- replace the key of a managed key, keeping its policy --
+// ----------------------------------------------------------
+// the previous key keeps working for `gracePeriodMs` (0 revokes it at once)
+export async function rotateProxyKey(id, { gracePeriodMs = 0 } = {}) {
+    const stored = await getManagedKey(id);
+    if (stored.error) { return stored; }
+
+    const apiKey = generateProxyKey();
+    const now = Date.now();
+    const previousKeyHash = stored.keyHash;
+    const updated = {
+        ...stored,
+        keyHash: hashProxyKey(apiKey),
+        keyPreview: `${apiKey.slice(0, 9)}...${apiKey.slice(-4)}`,
+        previousKeyExpiresAt: gracePeriodMs > 0 ? new Date(now + gracePeriodMs).toISOString() : undefined,
+        rotatedAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+    };
+    await getStorage().saveKey(updated);
+    await getStorage().setKeyHash(updated.keyHash, id);
+    if (gracePeriodMs > 0) {
+        await getStorage().setKeyHash(previousKeyHash, id, updated.previousKeyExpiresAt);
+    } else {
+        await getStorage().deleteKeyHash(previousKeyHash);
+    }
+    return { error: false, key: await getProxyKey(id), apiKey };
+}
+
+
+// --------------------------
+// -- delete a managed key --
+// --------------------------
+export async function deleteProxyKey(id) {
+    const stored = await getManagedKey(id);
+    if (stored.error) { return stored; }
+
+    // the key's hashes and last used time go with it
+    await getStorage().deleteKey(id);
+    recordCache.delete(id);
+    return { error: false };
+}
+
+
+// ------------------------------------------------
+// -- list the teams (managed and from the file) --
+// ------------------------------------------------
+// a managed team overrides a team of the same name from the file
+export async function listTeams() {
+    const teams = await getStorage().listTeams();
+    const keys = await listProxyKeys();
+    const names = new Set([...Object.keys(getFileTeams()), ...Object.keys(teams), ...keys.map((key) => key.team).filter(Boolean)]);
+    return [...names].sort().map((name) => ({
+        name,
+        object: "team",
+        source: teams[name] ? "admin" : getFileTeams()[name] ? "file" : "keys",
+        budgets: teams[name]?.budgets ?? getFileTeams()[name]?.budgets,
+        keys: keys.filter((key) => key.team === name).map((key) => key.id),
+        createdAt: teams[name]?.createdAt,
+        updatedAt: teams[name]?.updatedAt
+    }));
+}
+
+
+// --------------------------------------
+// -- create or replace a managed team --
+// --------------------------------------
+export async function setTeam(name, { budgets } = {}) {
+    try {
+        validateBudgets(budgets ?? undefined, `Team ${name}`);
+    } catch (error) {
+        return { error: true, status: 400, code: "invalid_team_field", message: error.message };
+    }
+    const teams = await getStorage().listTeams();
+    const now = new Date().toISOString();
+    await getStorage().saveTeam(name, { budgets: budgets ?? undefined, createdAt: teams[name]?.createdAt ?? now, updatedAt: now });
+    return { error: false, team: (await listTeams()).find((team) => team.name === name) };
+}
+
+
+// ---------------------------
+// -- delete a managed team --
+// ---------------------------
+// the keys of the team stay attached to it, without the team's budgets
+export async function deleteTeam(name) {
+    const teams = await getStorage().listTeams();
+    if (!teams[name]) {
+        return { error: true, status: 404, code: "team_not_found", message: `No team '${name}' was created through the admin API` };
+    }
+    await getStorage().deleteTeam(name);
+    return { error: false };
+}
+
+
+// -----------------------------------------------
+// -- load a managed key for a change by its id --
+// -----------------------------------------------
+async function getManagedKey(id) {
+    if (listVirtualKeys().some((record) => record.id === id)) {
+        return { error: true, status: 409, code: "key_read_only", message: `Key '${id}' is defined in the keys file and can only be changed there` };
+    }
+    const stored = await getStorage().getKey(id);
+    if (!stored) {
+        return { error: true, status: 404, code: "key_not_found", message: `No key with the id '${id}'` };
+    }
+    return stored;
+}
+
+
+// -------------------------------------------------
+// -- validate the fields of a new or changed key --
+// -------------------------------------------------
+async function validateKeyFields(fields, { id } = {}) {
+    const unknown = Object.keys(fields).find((field) => field !== "name" && field !== "disabled" && !POLICY_FIELDS.includes(field));
+    if (unknown) {
+        return { error: true, status: 400, code: "invalid_key_field", message: `Unknown key field '${unknown}'` };
+    }
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+        return { error: true, status: 400, code: "invalid_key_field", message: "A key needs a name" };
+    }
+    if (fields.disabled !== undefined && typeof fields.disabled !== "boolean") {
+        return { error: true, status: 400, code: "invalid_key_field", message: "disabled must be true or false" };
+    }
+    // names show up in usage reports, so they have to be unique
+    const keys = await listProxyKeys();
+    if (keys.some((key) => key.name === fields.name && key.id !== id)) {
+        return { error: true, status: 409, code: "key_name_taken", message: `A key named '${fields.name}' already exists` };
+    }
+    try {
+        createVirtualKeyRecord(fields, { id: "validation", keyHash: "validation" });
+    } catch (error) {
+        return { error: true, status: 400, code: "invalid_key_field", message: error.message };
+    }
+    return { error: false };
+}
+
+
+// -----------------------------------------------
+// -- build the runtime record of a managed key --
+// -----------------------------------------------
+function buildRecord(stored) {
+    return createVirtualKeyRecord({ name: stored.name, ...pickPolicyFields(stored) }, {
+        id: stored.id,
+        keyHash: stored.keyHash,
+        teamBudgets: stored.team ? getFileTeams()[stored.team]?.budgets : undefined
+    });
+}
+
+
+// -------------------------------------------------
+// -- the stored form of a key from the keys file --
+// -------------------------------------------------
+function toStoredFileKey(record) {
+    return { id: record.id, name: record.name, ...pickPolicyFields(record), disabled: false };
+}
+
+
+// ----------------------------------------
+// -- the admin API view of a stored key --
+// ----------------------------------------
+// never includes the key hash
+function toAdminKey(stored, source, lastUsed = {}) {
+    return {
+        object: "proxy_key",
+        source,
+        id: stored.id,
+        name: stored.name,
+        keyPreview: stored.keyPreview,
+        ...pickPolicyFields(stored),
+        disabled: stored.disabled === true,
+        createdAt: stored.createdAt,
+        updatedAt: stored.updatedAt,
+        rotatedAt: stored.rotatedAt,
+        previousKeyExpiresAt: stored.previousKeyExpiresAt,
+        lastUsedAt: lastUsed[stored.id] ?? null
+    };
+}
+
+
+// ------------------------------------------
+// -- copy the defined fields of an object --
+// ------------------------------------------
+function pick(object, fields) {
+    return Object.fromEntries(fields.filter((field) => object[field] !== undefined).map((field) => [field, object[field]]));
+}
+
+function pickPolicyFields(object) {
+    return pick(object, POLICY_FIELDS);
+}
@@ -0,0 +1,147 @@
+// ======================================================================
+// == Rate Limits                                                      ==
+// ==                                                                  ==
+// == Requests and tokens per minute, scoped to the caller's API key   ==
+// == and to the model. Tokens are pre-charged from an estimate and    ==
+// == settled with the real usage once the request is done.            ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { getStore } from "./store.js";
+
+
+const MINUTE_MS = 60 * 1000;
+
+
+// --------------------------------------------------
+// -- format a duration like OpenAI ("1s", "6m0s") --
+// --------------------------------------------------
+function formatDuration(ms) {
+    if (ms < 1000) { return `${Math.ceil(ms)}ms`; }
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${seconds % 60}s`;
+}
+
+
+// ----------------------------------------------
+// -- build the rate limit scopes of a request --
+// ----------------------------------------------
+// a scope is { id, label, requestsPerMinute?, tokensPerMinute? }, scopes
+// without any limit are left out
+export function getRateLimitScopes({ key, awsCreds, supportedModel, defaults = {} }) {
+    const keyLimits = {
+        requestsPerMinute: key?.requestsPerMinute ?? defaults.requestsPerMinute,
+        tokensPerMinute: key?.tokensPerMinute ?? defaults.tokensPerMinute
+    };
+    const modelLimits = {
+        requestsPerMinute: supportedModel.rate_limits?.requests_per_minute,
+        tokensPerMinute: supportedModel.rate_limits?.tokens_per_minute
+    };
+    const scopes = [
+        {
+            id: key ? `key:${key.id}` : `aws:${awsCreds.accessKeyId}`,
+            label: key ? `API key ${key.name}` : "this API key",
+            ...keyLimits
+        },
+        {
+            id: `model:${supportedModel.modelName}`,
+            label: `model ${supportedModel.modelName}`,
+            ...modelLimits
+        }
+    ];
+    return scopes.filter((scope) => scope.requestsPerMinute || scope.tokensPerMinute);
+}
+
+
+// -------------------------------------------------------
+// -- check and pre-charge a request against its scopes --
+// -------------------------------------------------------
+// nothing is charged unless every scope has room for the request, the
+// buckets live in the store so the limits hold across proxy instances
+// returns { error, headers, message?, type?, retryAfterMs? }
+export async function chargeRateLimits(scopes, estimatedTokens) {
+    const checks = [];
+    for (const scope of scopes) {
+        for (const [kind, limit, amount] of [
+            ["requests", scope.requestsPerMinute, 1],
+            ["tokens", scope.tokensPerMinute, estimatedTokens]
+        ]) {
+            if (!limit) { continue; }
+            checks.push({ scope, kind, limit, amount, bucket: { key: `ratelimit:${scope.id}:${kind}` } });
+        }
+    }
+    if (checks.length === 0) { return { error: false, headers: {} }; }
+
+    const { allowed, levels } = await getStore().takeTokens(checks.map(({ limit, amount, bucket }) => ({
+        key: bucket.key,
+        limit,
+        amount,
+        refillMs: MINUTE_MS
+    })));
+    checks.forEach((check, index) => { check.bucket.level = levels[index]; });
+
+    if (!allowed) {
+        const { scope, kind, limit, amount, bucket } = checks.find((check) => check.bucket.level < check.amount);
+        const unit = kind === "requests" ? "requests per min (RPM)" : "tokens per min (TPM)";
+        if (amount > limit) {
+            return {
+                error: true,
+                type: kind,
+                headers: getRateLimitHeaders(checks),
+                message: `Request too large for ${scope.label} on ${unit}: Limit ${limit}, Requested ${amount}. Please reduce the prompt or max_tokens.`
+            };
+        }
+        const retryAfterMs = (amount - bucket.level) * MINUTE_MS / limit;
+        return {
+            error: true,
+            type: kind,
+            retryAfterMs,
+            headers: getRateLimitHeaders(checks),
+            message: `Rate limit reached for ${scope.label} on ${unit}: Limit ${limit}, Used ${Math.ceil(limit - bucket.level)}, Requested ${amount}. Please try again in ${formatDuration(retryAfterMs)}.`
+        };
+    }
+
+    return { error: false, headers: getRateLimitHeaders(checks) };
+}
+
+
+// ---------------------------------------------------------
+// -- settle the pre-charged estimate with the real usage --
+// ---------------------------------------------------------
+// refunds an over-estimate and charges an under-estimate, a bucket can go
+// below zero so the next requests wait for the overdraft to refill
+export async function settleRateLimits(scopes, estimatedTokens, actualTokens) {
+    const buckets = scopes
+        .filter((scope) => scope.tokensPerMinute)
+        .map((scope) => ({
+            key: `ratelimit:${scope.id}:tokens`,
+            limit: scope.tokensPerMinute,
+            amount: actualTokens - estimatedTokens,
+            refillMs: MINUTE_MS
+        }));
+    if (buckets.length === 0 || actualTokens === estimatedTokens) { return; }
+    await getStore().takeTokens(buckets, { force: true });
+}
+
+
+// -------------------------------------------------
+// -- OpenAI style x-ratelimit-* response headers --
+// -------------------------------------------------
+// reports the scope with the least remaining capacity for each kind
+function getRateLimitHeaders(checks) {
+    const headers = {};
+    for (const kind of ["requests", "tokens"]) {
+        const tightest = checks
+            .filter((check) => check.kind === kind)
+            .sort((a, b) => (a.bucket.level / a.limit) - (b.bucket.level / b.limit))[0];
+        if (!tightest) { continue; }
+        const { limit, bucket } = tightest;
+        const remaining = Math.max(0, Math.floor(bucket.level));
+        headers[`x-ratelimit-limit-${kind}`] = String(limit);
+        headers[`x-ratelimit-remaining-${kind}`] = String(remaining);
+        headers[`x-ratelimit-reset-${kind}`] = formatDuration((limit - bucket.level) * MINUTE_MS / limit);
+    }
+    return headers;
+}
@@ -0,0 +1,259 @@
+// ======================================================================
+// == Redis Store                                                      ==
+// ==                                                                  ==
+// == A store backed by any server that speaks the Redis protocol      ==
+// == (Redis, Valkey, KeyDB, ...). Multi-key updates run as Lua        ==
+// == scripts so they stay atomic across proxy instances.              ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import net from "net";
+import tls from "tls";
+
+
+// KEYS: bucket keys, ARGV: now, force, then limit / amount / refillMs per bucket
+const TAKE_TOKENS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local force = ARGV[2] == "1"
+local levels = {}
+local allowed = 1
+for i, key in ipairs(KEYS) do
+    local limit = tonumber(ARGV[i * 3])
+    local amount = tonumber(ARGV[i * 3 + 1])
+    local refill = tonumber(ARGV[i * 3 + 2])
+    local state = redis.call("HMGET", key, "level", "updated_at")
+    local level = limit
+    if state[1] then
+        level = math.min(limit, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * limit / refill)
+    end
+    levels[i] = level
+    if level < amount then allowed = 0 end
+end
+if allowed == 1 or force then
+    for i, key in ipairs(KEYS) do
+        local limit = tonumber(ARGV[i * 3])
+        local refill = tonumber(ARGV[i * 3 + 2])
+        levels[i] = math.min(limit, levels[i] - tonumber(ARGV[i * 3 + 1]))
+        redis.call("HSET", key, "level", tostring(levels[i]), "updated_at", tostring(now))
+        redis.call("PEXPIRE", key, math.ceil((limit - levels[i]) * refill / limit) + 1000)
+    end
+end
+for i = 1, #levels do levels[i] = tostring(levels[i]) end
+return { allowed, levels }
+`;
+
+// KEYS: counter key, ARGV: amount, ttlMs (0 = no ttl)
+const INCREMENT_SCRIPT = `
+local value = redis.call("INCRBY", KEYS[1], ARGV[1])
+if tonumber(ARGV[2]) > 0 and redis.call("PTTL", KEYS[1]) < 0 then
+    redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return value
+`;
+
+// KEYS: slot set, ARGV: now, limit, ttlMs, slot id
+// a sorted set of slot ids scored by their expiry time
+const ACQUIRE_SLOT_SCRIPT = `
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", ARGV[1])
+if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[2]) then
+    return 0
+end
+redis.call("ZADD", KEYS[1], tonumber(ARGV[1]) + tonumber(ARGV[3]), ARGV[4])
+redis.call("PEXPIRE", KEYS[1], ARGV[3])
+return 1
+`;
+
+// KEYS: slot set, ARGV: now, ttlMs, slot id
+// moves the expiry of a slot that is still held, 0 when it is gone
+const REFRESH_SLOT_SCRIPT = `
+local expiresAt = redis.call("ZSCORE", KEYS[1], ARGV[3])
+if not expiresAt or tonumber(expiresAt) <= tonumber(ARGV[1]) then
+    return 0
+end
+redis.call("ZADD", KEYS[1], tonumber(ARGV[1]) + tonumber(ARGV[2]), ARGV[3])
+redis.call("PEXPIRE", KEYS[1], ARGV[2])
+return 1
+`;
+
+
+// --------------------------------------
+// -- encode a command as a RESP array --
+// --------------------------------------
+function encodeCommand(args) {
+    let command = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return command;
+}
+
+
+// ----------------------------------------------------
+// -- parse one RESP reply from a buffer at `offset` --
+// ----------------------------------------------------
+// returns [reply, nextOffset] or undefined when the reply is incomplete,
+// error replies are returned as Error objects
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    if (lineEnd === -1) { return undefined; }
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString("utf-8", offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case "+": return [line, next];
+        case "-": return [new Error(line), next];
+        case ":": return [Number(line), next];
+        case "$": {
+            const length = Number(line);
+            if (length === -1) { return [null, next]; }
+            if (buffer.length < next + length + 2) { return undefined; }
+            return [buffer.toString("utf-8", next, next + length), next + length + 2];
+        }
+        case "*": {
+            const count = Number(line);
+            if (count === -1) { return [null, next]; }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const parsed = parseReply(buffer, position);
+                if (!parsed) { return undefined; }
+                items.push(parsed[0]);
+                position = parsed[1];
+            }
+            return [items, position];
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+}
+
+
+// -----------------------------------------------
+// -- create a store on a Redis-protocol server --
+// -----------------------------------------------
+export function createRedisStore(url, { prefix = "bedrock-proxy:", timeoutMs = 5000 } = {}) {
+    const { protocol, hostname, port, username, password, pathname } = new URL(url);
+    const db = Number(pathname.slice(1)) || 0;
+
+    let socket;
+    let connecting;
+    let buffer = Buffer.alloc(0);
+    const pending = [];
+
+    // fail every waiting command of a connection, the next command reconnects
+    const reset = (connection, error) => {
+        if (connection !== socket) { return; }
+        socket?.destroy();
+        socket = undefined;
+        connecting = undefined;
+        buffer = Buffer.alloc(0);
+        for (const { reject } of pending.splice(0)) { reject(error); }
+    };
+
+    const onData = (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        let parsed;
+        try {
+            while (pending.length && (parsed = parseReply(buffer))) {
+                buffer = buffer.subarray(parsed[1]);
+                const { resolve, reject, timer } = pending.shift();
+                clearTimeout(timer);
+                if (parsed[0] instanceof Error) { reject(parsed[0]); } else { resolve(parsed[0]); }
+            }
+        } catch (error) {
+            reset(socket, error);
+        }
+    };
+
+    const write = (args) => new Promise((resolve, reject) => {
+        const connection = socket;
+        if (!connection) { return reject(new Error("Redis connection closed")); }
+        const timer = setTimeout(() => reset(connection, new Error(`Redis command ${args[0]} timed out`)), timeoutMs);
+        pending.push({ resolve, reject, timer });
+        connection.write(encodeCommand(args));
+    });
+
+    const connect = () => {
+        connecting ??= new Promise((resolve, reject) => {
+            const options = { host: hostname || "localhost", port: Number(port) || 6379 };
+            const connection = protocol === "rediss:"
+                ? tls.connect({ ...options, servername: options.host })
+                : net.connect(options);
+            const timer = setTimeout(() => connection.destroy(new Error(`Could not connect to Redis at ${options.host}:${options.port}`)), timeoutMs);
+            connection.once(protocol === "rediss:" ? "secureConnect" : "connect", async () => {
+                clearTimeout(timer);
+                try {
+                    if (password) {
+                        await write(username ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)] : ["AUTH", decodeURIComponent(password)]);
+                    }
+                    if (db) { await write(["SELECT", db]); }
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                    reset(connection, error);
+                }
+            });
+            connection.on("data", onData);
+            connection.on("error", (error) => {
+                clearTimeout(timer);
+                reject(error);
+                reset(connection, error);
+            });
+            connection.on("close", () => reset(connection, new Error("Redis connection closed")));
+            connection.setNoDelay(true);
+            socket = connection;
+        });
+        return connecting;
+    };
+
+    const command = async (...args) => {
+        await connect();
+        return write(args);
+    };
+
+    return {
+        async get(key) {
+            const value = await command("GET", prefix + key);
+            return value === null ? undefined : JSON.parse(value);
+        },
+        async set(key, value, ttlMs) {
+            const args = ["SET", prefix + key, JSON.stringify(value)];
+            if (ttlMs) { args.push("PX", Math.ceil(ttlMs)); }
+            await command(...args);
+        },
+        async delete(key) {
+            await command("DEL", prefix + key);
+        },
+        async increment(key, amount = 1, ttlMs = 0) {
+            return command("EVAL", INCREMENT_SCRIPT, 1, prefix + key, Math.round(amount), Math.ceil(ttlMs));
+        },
+        async acquireSlot(key, limit, ttlMs) {
+            const slotId = crypto.randomUUID();
+            const acquired = await command("EVAL", ACQUIRE_SLOT_SCRIPT, 1, prefix + key, Date.now(), limit, Math.ceil(ttlMs), slotId);
+            return acquired === 1 ? slotId : undefined;
+        },
+        async refreshSlot(key, slotId, ttlMs) {
+            return await command("EVAL", REFRESH_SLOT_SCRIPT, 1, prefix + key, Date.now(), Math.ceil(ttlMs), slotId) === 1;
+        },
+        async releaseSlot(key, slotId) {
+            await command("ZREM", prefix + key, slotId);
+        },
+        async takeTokens(buckets, { force = false } = {}) {
+            const [allowed, levels] = await command(
+                "EVAL", TAKE_TOKENS_SCRIPT, buckets.length,
+                ...buckets.map(({ key }) => prefix + key),
+                Date.now(), force ? 1 : 0,
+                ...buckets.flatMap(({ limit, amount, refillMs }) => [limit, amount, refillMs])
+            );
+            return { allowed: allowed === 1, levels: levels.map(Number) };
+        },
+        async close() {
+            if (socket) { socket.end(); }
+        }
+    };
+}
@@ -7,7 +7,7 @@ dotenv.config();
 // ------------------------------
 // -- import utility functions --
 // ------------------------------
-import { toBoolean, extractAWSCreds } from "../utils.js";
+import { toBoolean, estimateTokens, estimatePromptTokens, validateModelCapabilities } from "../utils.js";
 
 const CONSOLE_LOGGING = toBoolean(process.env.CONSOLE_LOGGING);
 const HTTP_ENABLED = toBoolean(process.env.HTTP_ENABLED);
@@ -19,6 +19,53 @@ const HTTPS_CERT_PATH = process.env.HTTPS_CERT_PATH;
 const IP_RATE_LIMIT_ENABLED = toBoolean(process.env.IP_RATE_LIMIT_ENABLED);
 const IP_RATE_LIMIT_WINDOW_MS = parseInt(process.env.IP_RATE_LIMIT_WINDOW_MS);
 const IP_RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.IP_RATE_LIMIT_MAX_REQUESTS);
+const LOCAL_IMAGE_FILES_ENABLED = toBoolean(process.env.LOCAL_IMAGE_FILES_ENABLED);
+const LOCAL_IMAGE_FILES_ROOT = process.env.LOCAL_IMAGE_FILES_ROOT;
+const MODEL_REGISTRY_PATH = process.env.MODEL_REGISTRY_PATH;
+const AWS_ACCOUNT_ID = process.env.AWS_ACCOUNT_ID;
+const PROXY_KEYS_PATH = process.env.PROXY_KEYS_PATH;
+const LEGACY_API_KEYS_ENABLED = toBoolean(process.env.LEGACY_API_KEYS_ENABLED ?? 'true');
+const AWS_CREDENTIALS_SOURCE = (process.env.AWS_CREDENTIALS_SOURCE || 'token').trim().toLowerCase();
+const AWS_CREDENTIALS_PROFILE = process.env.AWS_CREDENTIALS_PROFILE;
+const ALLOW_UNAUTHENTICATED = toBoolean(process.env.ALLOW_UNAUTHENTICATED);
+const AWS_REGION = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+const RATE_LIMIT_REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || undefined;
+const RATE_LIMIT_TOKENS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_TOKENS_PER_MINUTE) || undefined;
+const STORE_URL = process.env.STORE_URL;
+const BUDGET_EXCEEDED_STATUS = parseInt(process.env.BUDGET_EXCEEDED_STATUS) || 402;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const STORAGE_URL = process.env.STORAGE_URL || 'sqlite://data/bedrock-proxy.db';
+const REQUEST_LOG_RETENTION_DAYS = parseInt(process.env.REQUEST_LOG_RETENTION_DAYS) || 30;
+const KEY_ROTATION_GRACE_SECONDS = parseInt(process.env.KEY_ROTATION_GRACE_SECONDS ?? '86400');
+const BEDROCK_CLIENT_CACHE_SIZE = parseInt(process.env.BEDROCK_CLIENT_CACHE_SIZE) || 100;
+const BEDROCK_CLIENT_IDLE_SECONDS = parseInt(process.env.BEDROCK_CLIENT_IDLE_SECONDS ?? '900');
+const BEDROCK_KEEP_ALIVE = toBoolean(process.env.BEDROCK_KEEP_ALIVE ?? 'true');
+const BEDROCK_MAX_SOCKETS = parseInt(process.env.BEDROCK_MAX_SOCKETS) || 50;
+const BEDROCK_CONNECTION_TIMEOUT_MS = parseInt(process.env.BEDROCK_CONNECTION_TIMEOUT_MS) || 0;
+const BEDROCK_REQUEST_TIMEOUT_MS = parseInt(process.env.BEDROCK_REQUEST_TIMEOUT_MS) || 0;
+const BEDROCK_MAX_RETRIES = Math.max(0, parseInt(process.env.BEDROCK_MAX_RETRIES ?? '2') || 0);
+const BEDROCK_RETRY_BASE_DELAY_MS = parseInt(process.env.BEDROCK_RETRY_BASE_DELAY_MS) || 250;
+const BEDROCK_RETRY_MAX_DELAY_MS = parseInt(process.env.BEDROCK_RETRY_MAX_DELAY_MS) || 5000;
+const MODEL_FALLBACKS_PATH = process.env.MODEL_FALLBACKS_PATH;
+const MODEL_POOLS_PATH = process.env.MODEL_POOLS_PATH;
+
+// -----------------------------------
+// -- import authentication helpers --
+// -----------------------------------
+import { authenticateRequest, authenticateUsageRequest } from "./auth.js";
+import { loadVirtualKeys, isModelAllowedForKey } from "./virtual-keys.js";
+import { recordKeyUse } from "./managed-keys.js";
+import { createAdminRouter } from "./admin-api.js";
+import { checkKeyPolicy, startKeyRequest, recordKeyUsage } from "./key-policy.js";
+import { getRateLimitScopes, chargeRateLimits, settleRateLimits } from "./rate-limits.js";
+import { openStore, createRateLimitStore } from "./store.js";
+import { openStorage } from "./storage.js";
+import { calculateCost, checkBudgets, recordUsage, recordRequestLog, scheduleUsageCleanup, parseUsageQuery, getUsageReport, formatUsageCsv } from "./usage.js";
+import { createDefaultCredentialProvider } from "./credentials.js";
+import { withBedrockRetries } from "./bedrock-retry.js";
+import { loadModelFallbacks, withModelFallbacks } from "./fallbacks.js";
+import { loadDeploymentPools, withDeploymentPool } from "./deployment-pools.js";
+import { mapBedrockError } from "./bedrock-errors.js";
 
 // --------------------------------------------
 // -- import functions from bedrock-wrapper  --
@@ -27,9 +74,167 @@ const IP_RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.IP_RATE_LIMIT_MAX_REQUES
 // --------------------------------------------
 import {
     bedrockWrapper,
-    listBedrockWrapperSupportedModels
+    listBedrockWrapperSupportedModels,
+    getBedrockWrapperSupportedModel,
+    InvalidRequestError,
+    loadModelRegistry,
+    watchModelRegistry,
+    configureClientCache
 } from "./local-modules/bedrock-wrapper/bedrock-wrapper.js";
 
+// ----------------------------------------------------
+// -- configure the cache of Bedrock runtime clients --
+// ----------------------------------------------------
+try {
+    configureClientCache({
+        maxSize: BEDROCK_CLIENT_CACHE_SIZE,
+        idleTimeoutMs: BEDROCK_CLIENT_IDLE_SECONDS * 1000,
+        keepAlive: BEDROCK_KEEP_ALIVE,
+        maxSockets: BEDROCK_MAX_SOCKETS,
+        connectionTimeoutMs: BEDROCK_CONNECTION_TIMEOUT_MS,
+        requestTimeoutMs: BEDROCK_REQUEST_TIMEOUT_MS,
+        // 重试由代理自己处理 (只在第一个分片之前), SDK 不再重试
+        maxAttempts: 1
+    });
+} catch (error) {
+    console.error(`Invalid Bedrock client settings: ${error.message}`);
+    process.exit(1);
+}
+
+// ---------------------------------------------------------
+// -- check the directory local image files are read from --
+// ---------------------------------------------------------
+if (LOCAL_IMAGE_FILES_ENABLED) {
+    // 没有根目录时客户端可以读取服务器上的任意图片文件
+    if (!LOCAL_IMAGE_FILES_ROOT || !fs.statSync(LOCAL_IMAGE_FILES_ROOT, { throwIfNoEntry: false })?.isDirectory()) {
+        console.error("LOCAL_IMAGE_FILES_ENABLED needs LOCAL_IMAGE_FILES_ROOT to be set to an existing directory");
+        process.exit(1);
+    }
+    console.log(`Local image files are read from ${path.resolve(LOCAL_IMAGE_FILES_ROOT)}`);
+}
+
+// --------------------------------------------------
+// -- load the model registry file (if configured) --
+// --------------------------------------------------
+if (MODEL_REGISTRY_PATH) {
+    try {
+        const models = await loadModelRegistry(MODEL_REGISTRY_PATH);
+        console.log(`Loaded ${models.length} models from ${MODEL_REGISTRY_PATH}`);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    // 重新加载只替换注册表, 进行中的流继续使用已解析的模型配置
+    watchModelRegistry(MODEL_REGISTRY_PATH, {
+        onReload: (models) => console.log(`Reloaded ${models.length} models from ${MODEL_REGISTRY_PATH}`),
+        onError: (error) => console.error(`Model registry reload failed, keeping the previous models: ${error.message}`)
+    });
+}
+
+// ----------------------------------------------------
+// -- load the virtual API keys file (if configured) --
+// ----------------------------------------------------
+if (PROXY_KEYS_PATH) {
+    try {
+        const keyCount = await loadVirtualKeys(PROXY_KEYS_PATH);
+        console.log(`Loaded ${keyCount} proxy API keys from ${PROXY_KEYS_PATH}`);
+    } catch (error) {
+        console.error(`Failed to load proxy API keys: ${error.message}`);
+        process.exit(1);
+    }
+} else if (ADMIN_API_KEY) {
+    // 管理 API 创建的密钥使用这个文件中的凭证集, 没有它代理密钥不会被验证
+    console.error("ADMIN_API_KEY needs PROXY_KEYS_PATH: keys created through the admin API use the credential sets of that file (its `keys` list can be empty)");
+    process.exit(1);
+}
+
+// ---------------------------------------------------------
+// -- load the model fallback chains file (if configured) --
+// ---------------------------------------------------------
+// 在模型注册表和代理密钥之后加载, 以便检查模型和凭证集
+if (MODEL_FALLBACKS_PATH) {
+    try {
+        const chainCount = await loadModelFallbacks(MODEL_FALLBACKS_PATH);
+        console.log(`Loaded fallback chains for ${chainCount} models from ${MODEL_FALLBACKS_PATH}`);
+    } catch (error) {
+        console.error(`Failed to load model fallbacks: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// ----------------------------------------------------
+// -- load the deployment pools file (if configured) --
+// ----------------------------------------------------
+if (MODEL_POOLS_PATH) {
+    try {
+        const poolCount = await loadDeploymentPools(MODEL_POOLS_PATH);
+        console.log(`Loaded deployment pools for ${poolCount} models from ${MODEL_POOLS_PATH}`);
+    } catch (error) {
+        console.error(`Failed to load deployment pools: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// -------------------------------------------------------
+// -- resolve the proxy's own AWS creds (if configured) --
+// -------------------------------------------------------
+let defaultCredentials;
+if (AWS_CREDENTIALS_SOURCE === 'chain') {
+    if (!AWS_REGION) {
+        console.error("AWS_CREDENTIALS_SOURCE=chain needs AWS_REGION to be set");
+        process.exit(1);
+    }
+    defaultCredentials = createDefaultCredentialProvider({ profile: AWS_CREDENTIALS_PROFILE });
+    try {
+        await defaultCredentials();
+        console.log(`Using AWS credentials from the default provider chain${AWS_CREDENTIALS_PROFILE ? ` (profile ${AWS_CREDENTIALS_PROFILE})` : ''}`);
+    } catch (error) {
+        // 实例元数据等来源可能暂时不可用, 每个请求都会重新尝试
+        console.warn(`AWS credentials are not available yet: ${error.message}`);
+    }
+    if (PROXY_KEYS_PATH) {
+        console.log("Proxy API keys are enabled, requests without a proxy key (also API keys with AWS credentials) are rejected");
+    } else if (!ALLOW_UNAUTHENTICATED) {
+        // 没有代理密钥时任何请求(不管有没有 token)都会用代理自己的凭证调用 Bedrock
+        console.error("AWS_CREDENTIALS_SOURCE=chain without PROXY_KEYS_PATH would serve every request with the proxy's AWS credentials, set PROXY_KEYS_PATH or ALLOW_UNAUTHENTICATED=true");
+        process.exit(1);
+    } else {
+        console.warn("==========================================================================");
+        console.warn("WARNING: ALLOW_UNAUTHENTICATED=true, every request (with any or no API key)");
+        console.warn("is served with the proxy's AWS credentials. Only expose this proxy on a");
+        console.warn("trusted network.");
+        console.warn("==========================================================================");
+    }
+} else if (AWS_CREDENTIALS_SOURCE !== 'token') {
+    console.error(`Unknown AWS_CREDENTIALS_SOURCE "${AWS_CREDENTIALS_SOURCE}", use "token" or "chain"`);
+    process.exit(1);
+}
+
+// ------------------------------------------------------------------------
+// -- open the shared store for rate limits and counters (if configured) --
+// ------------------------------------------------------------------------
+if (STORE_URL) {
+    try {
+        await openStore(STORE_URL);
+        console.log(`Using the store at ${new URL(STORE_URL).host || STORE_URL} for rate limits and counters`);
+    } catch (error) {
+        console.error(`Failed to open the store ${STORE_URL}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// ------------------------------------------------------------------
+// -- open the storage for keys, usage and request logs (migrated) --
+// ------------------------------------------------------------------
+try {
+    const storage = await openStorage(STORAGE_URL);
+    console.log(`Using ${storage.description} for keys, usage and request logs (schema version ${storage.schemaVersion})`);
+} catch (error) {
+    console.error(`Failed to open the storage ${STORAGE_URL}: ${error.message}`);
+    process.exit(1);
+}
+scheduleUsageCleanup({ requestLogRetentionDays: REQUEST_LOG_RETENTION_DAYS });
+
 console.log("    ============================ PROXY ENDPOINT =============================");
 console.log("");
 
@@ -56,11 +261,23 @@ app.use(bodyParser.json());
 if (IP_RATE_LIMIT_ENABLED) {
     const limiter = rateLimit({
         windowMs: IP_RATE_LIMIT_WINDOW_MS,
-        max: IP_RATE_LIMIT_MAX_REQUESTS
+        max: IP_RATE_LIMIT_MAX_REQUESTS,
+        // 计数保存在共享存储中, 多个实例共用同一个限额
+        store: createRateLimitStore()
     });
     app.use(limiter);
 }
 
+// ----------------------------------------------
+// -- admin API for proxy keys (if configured) --
+// ----------------------------------------------
+if (ADMIN_API_KEY) {
+    app.use('/admin', createAdminRouter({
+        adminApiKey: ADMIN_API_KEY,
+        rotationGracePeriodMs: KEY_ROTATION_GRACE_SECONDS * 1000
+    }));
+}
+
 // -------------------------------
 // -- error handling middleware --
 // -------------------------------
@@ -87,14 +304,123 @@ app.get('/', (req, res) => {
 // -------------------------------------
 // -- Endpoint: list supported models --
 // -------------------------------------
-app.get('/models', (req, res) => {
+const MODELS_CREATED = Math.floor(Date.now() / 1000);
+
+// 从 modelId 中取出模型提供方 (例如 "us.anthropic.claude..." -> "anthropic")
+function getModelOwner(modelId) {
+    const id = modelId.split('/').pop().replace(/^\{region_prefix\}\./, '');
+    const parts = id.split('.');
+    return (/^[a-z]{2,4}$/.test(parts[0]) && parts.length > 2 ? parts[1] : parts[0]) || 'bedrock';
+}
+
+function toOpenAIModel(supportedModel) {
+    return {
+        id: supportedModel.modelName,
+        object: "model",
+        created: MODELS_CREATED,
+        owned_by: getModelOwner(supportedModel.modelId),
+        bedrock_model_id: supportedModel.modelId,
+        aliases: supportedModel.aliases,
+        regions: supportedModel.regions,
+        context_window: supportedModel.context_window,
+        max_output_tokens: supportedModel.max_output_tokens,
+        capabilities: supportedModel.capabilities,
+        pricing: supportedModel.pricing
+    };
+}
+
+app.get(['/models', '/v1/models'], (req, res) => {
     listBedrockWrapperSupportedModels().then(supportedModels => {
-        res.json(supportedModels);
+        // 别名也作为独立的模型列出, 并通过 alias_for 指向真实模型
+        const aliasModels = supportedModels.flatMap((supportedModel) => supportedModel.aliases.map((alias) => ({
+            ...toOpenAIModel(supportedModel),
+            id: alias,
+            alias_for: supportedModel.modelName
+        })));
+        res.json({
+            object: "list",
+            data: [...supportedModels.map(toOpenAIModel), ...aliasModels]
+        });
+    }).catch(err => {
+        res.status(500).send('Failed to fetch models');
+    });
+});
+
+// model id 可以是 modelName 或 modelId (modelId 可能包含 "/")
+app.get(['/models/:id(*)', '/v1/models/:id(*)'], (req, res) => {
+    getBedrockWrapperSupportedModel(req.params.id).then(supportedModel => {
+        if (!supportedModel) {
+            return res.status(404).json({
+                error: {
+                    message: `The model '${req.params.id}' does not exist`,
+                    type: "invalid_request_error",
+                    param: "model",
+                    code: "model_not_found"
+                }
+            });
+        }
+        res.json(toOpenAIModel(supportedModel));
     }).catch(err => {
         res.status(500).send('Failed to fetch models');
     });
 });
 
+// ------------------------------------------
+// -- Endpoint: usage report (JSON or CSV) --
+// ------------------------------------------
+app.get(['/usage', '/v1/usage'], async (req, res) => {
+    try {
+        // 管理员密钥可以查看所有调用方, 代理密钥只能查看自己的用量
+        const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+        const auth = await authenticateUsageRequest(bearerToken, {
+            adminApiKey: ADMIN_API_KEY,
+            virtualKeysEnabled: Boolean(PROXY_KEYS_PATH)
+        });
+        if (auth.error) {
+            return res.status(auth.status).json({
+                error: {
+                    message: auth.message,
+                    type: "auth_error",
+                    code: auth.status
+                }
+            });
+        }
+
+        // 没有 format 参数时按 Accept 头选择 JSON 或 CSV
+        const query = parseUsageQuery(req.query, { format: req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json' });
+        if (query.error) {
+            return res.status(400).json({
+                error: {
+                    message: query.message,
+                    type: "invalid_request_error",
+                    param: query.param,
+                    code: 400
+                }
+            });
+        }
+        if (!auth.admin) {
+            query.filters = { ...query.filters, key: undefined, keyId: auth.key.id };
+        }
+
+        const report = await getUsageReport(query);
+        if (query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${report.start_date}-${report.end_date}.csv"`);
+            return res.send(formatUsageCsv(report));
+        }
+        res.json(report);
+    } catch (error) {
+        console.error("Failed to read the usage from the store:", error.message);
+        res.status(500).json({
+            error: {
+                message: "Failed to read the usage",
+                type: "internal_server_error",
+                code: 500
+            }
+        });
+    }
+});
+
 app.post('/test/chat/completions', async (req, res) => {
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -125,12 +451,27 @@ app.post('/v1/chat/completions', async (req, res) => {
         max_tokens = 800,
         temperature = 0.4,
         top_p = 0.9,
-        stream = false
+        stream = false,
+        stream_options,
+        tools,
+        tool_choice,
+        parallel_tool_calls
     } = req.body;
 
+    // 结束时释放代理密钥的并发流名额, 并结算预扣的 token
+    let releaseKeyRequest = () => {};
+    let settleRateLimit = () => {};
+    // 请求失败时也计入用量统计
+    let usageContext;
+    let settleUsage;
+    // 已经发送给客户端的流式内容 (文本和工具调用参数), 流中途失败时按它结算用量
+    let streamedOutput = '';
+    // 每个请求结束时写入一条请求日志
+    const startedAt = Date.now();
+    const requestLog = { time: new Date(startedAt).toISOString(), model, stream: Boolean(stream) };
     try {
-        // 验证消息数组
-        if (!messages.length) {
+        // 验证消息数组 (不是数组的 messages 由 validateModelCapabilities 返回 400)
+        if (Array.isArray(messages) && !messages.length) {
             return res.status(400).json({
                 error: {
                     message: "Messages array is empty",
@@ -140,63 +481,266 @@ app.post('/v1/chat/completions', async (req, res) => {
             });
         }
 
-        // 提取 AWS 凭证
+        // 提取 AWS 凭证 (代理密钥 sk-bp-... 或旧的 region.AKIA....secret 格式)
         const bearerToken = req.headers.authorization?.replace('Bearer ', '');
-        if (!bearerToken) {
-            return res.status(401).json({
+        const auth = await authenticateRequest(bearerToken, {
+            virtualKeysEnabled: Boolean(PROXY_KEYS_PATH),
+            legacyKeysEnabled: LEGACY_API_KEYS_ENABLED,
+            accountId: AWS_ACCOUNT_ID,
+            defaultCredentials,
+            defaultRegion: AWS_REGION
+        });
+        if (auth.error) {
+            return res.status(auth.status).json({
                 error: {
-                    message: "No authorization token provided",
+                    message: auth.message,
                     type: "auth_error",
-                    code: 401
+                    code: auth.status
                 }
             });
         }
 
-        const tokenParts = extractAWSCreds(bearerToken);
-        if (tokenParts.error) {
-            return res.status(401).json({
+        // 创建 AWS 凭证对象
+        const { awsCreds, key, caller, legacy } = auth;
+        if (key) { recordKeyUse(key); }
+        // 代理密钥按 id 记录, 改名或轮换后日志仍然和用量统计对应
+        Object.assign(requestLog, { caller: key?.id ?? caller, team: key?.team });
+
+        // 根据模型能力提前拒绝不支持的功能
+        const supportedModel = await getBedrockWrapperSupportedModel(model);
+        if (!supportedModel) {
+            return res.status(404).json({
                 error: {
-                    message: tokenParts.message,
-                    type: "auth_error",
-                    code: 401
+                    message: `The model '${model}' does not exist`,
+                    type: "invalid_request_error",
+                    param: "model",
+                    code: "model_not_found"
+                }
+            });
+        }
+        requestLog.model = supportedModel.modelName;
+        // 代理密钥的策略: 允许的模型, max_tokens 上限, 配额和并发流
+        if (key) {
+            const policyCheck = await checkKeyPolicy(key, {
+                modelName: supportedModel.modelName,
+                max_tokens: req.body.max_tokens
+            });
+            if (policyCheck.error) {
+                return res.status(policyCheck.status).json({
+                    error: {
+                        message: policyCheck.message,
+                        type: policyCheck.type,
+                        param: policyCheck.param,
+                        code: policyCheck.code
+                    }
+                });
+            }
+        }
+        // 密钥和团队的预算: 超过硬预算拒绝请求, 超过软预算返回警告头
+        if (key) {
+            const budgetCheck = await checkBudgets(key);
+            if (budgetCheck.error) {
+                return res.status(BUDGET_EXCEEDED_STATUS).json({
+                    error: {
+                        message: budgetCheck.message,
+                        type: "insufficient_quota",
+                        code: budgetCheck.code
+                    }
+                });
+            }
+            if (budgetCheck.warnings.length) {
+                res.setHeader('x-budget-warning', budgetCheck.warnings.join('; '));
+            }
+        }
+        // 返回实际使用的模型 (别名已解析)
+        res.setHeader('x-bedrock-model', supportedModel.modelName);
+
+        const capabilityCheck = validateModelCapabilities(supportedModel, req.body);
+        if (capabilityCheck.error) {
+            return res.status(400).json({
+                error: {
+                    message: capabilityCheck.message,
+                    type: "invalid_request_error",
+                    param: capabilityCheck.param,
+                    code: capabilityCheck.code
                 }
             });
         }
 
-        const { AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY } = tokenParts.credentials;
+        // 未指定 max_tokens 时, 默认值不超过密钥的上限
+        const maxTokens = key?.maxTokens ? Math.min(max_tokens, key.maxTokens) : max_tokens;
 
-        // 创建 AWS 凭证对象
-        const awsCreds = {
-            region: AWS_REGION,
-            accessKeyId: AWS_ACCESS_KEY_ID,
-            secretAccessKey: AWS_SECRET_ACCESS_KEY
+        // 按 API 密钥和模型限制每分钟的请求数和 token 数 (按估算预扣, 结束后按实际用量结算)
+        const rateLimitScopes = getRateLimitScopes({
+            key,
+            awsCreds,
+            supportedModel,
+            defaults: { requestsPerMinute: RATE_LIMIT_REQUESTS_PER_MINUTE, tokensPerMinute: RATE_LIMIT_TOKENS_PER_MINUTE }
+        });
+        const estimatedTokens = estimatePromptTokens(messages) + maxTokens;
+        const rateLimitCheck = await chargeRateLimits(rateLimitScopes, estimatedTokens);
+        res.set(rateLimitCheck.headers);
+        if (rateLimitCheck.error) {
+            if (rateLimitCheck.retryAfterMs !== undefined) {
+                res.setHeader('retry-after', String(Math.ceil(rateLimitCheck.retryAfterMs / 1000)));
+            }
+            return res.status(429).json({
+                error: {
+                    message: rateLimitCheck.message,
+                    type: rateLimitCheck.type,
+                    param: null,
+                    code: "rate_limit_exceeded"
+                }
+            });
+        }
+        let rateLimitSettled = false;
+        settleRateLimit = (actualTokens) => {
+            if (rateLimitSettled) { return; }
+            rateLimitSettled = true;
+            settleRateLimits(rateLimitScopes, estimatedTokens, actualTokens).catch(logStoreError);
+        };
+
+        if (key) {
+            const keyRequest = await startKeyRequest(key, { stream });
+            if (keyRequest.error) {
+                return res.status(keyRequest.status).json({
+                    error: {
+                        message: keyRequest.message,
+                        type: keyRequest.type,
+                        code: keyRequest.code
+                    }
+                });
+            }
+            releaseKeyRequest = keyRequest.release;
+        }
+        usageContext = { key, caller, model: supportedModel.modelName };
+        // 实际应答的模型 (备用链可能换成其他模型)
+        let usedModel = supportedModel;
+
+        // 请求结束后按实际用量结算配额, 限速和费用, 返回请求的费用 (USD)
+        settleUsage = (usage, { error = false } = {}) => {
+            const cost = calculateCost(usedModel.pricing, usage);
+            if (key) { recordKeyUsage(key, usage).catch(logStoreError); }
+            settleRateLimit(usage.total_tokens);
+            recordUsage({ ...usageContext, usage, cost, error }).catch(logStoreError);
+            usageContext = undefined;
+            Object.assign(requestLog, { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, costUsd: cost });
+            return cost;
         };
 
         // 创建请求对象
         const bedrockParams = {
             messages,
             model,
-            max_tokens,
+            max_tokens: maxTokens,
             stream,
             temperature,
-            top_p
+            top_p,
+            tools,
+            tool_choice,
+            parallel_tool_calls
         };
 
+        const wrapperOptions = { logging: CONSOLE_LOGGING, allowLocalImages: LOCAL_IMAGE_FILES_ENABLED, localImageRoot: LOCAL_IMAGE_FILES_ROOT, includeMetadata: true };
+        // 旧式令牌的调用方和绑定 IAM 角色的代理密钥只能使用自己的 AWS 凭证 (账号隔离), 不能换用代理的凭证集
+        const acceptCredentials = (target) => !((legacy || key?.roleArn) && target.proxyCredentials);
+
+        // 限流和暂时性错误在发送第一个字节之前按指数退避重试
+        const callDeployment = (target) => withBedrockRetries(
+            () => bedrockWrapper(
+                target.awsCreds,
+                { ...bedrockParams, model: target.supportedModel.modelName },
+                { ...wrapperOptions, provisionedModelArn: target.provisionedModelArn }
+            ),
+            {
+                maxRetries: BEDROCK_MAX_RETRIES,
+                baseDelayMs: BEDROCK_RETRY_BASE_DELAY_MS,
+                maxDelayMs: BEDROCK_RETRY_MAX_DELAY_MS,
+                onRetry: (error, { attempt, delayMs }) => console.warn(`Bedrock ${error.code || error.name}, retry ${attempt} of ${BEDROCK_MAX_RETRIES} in ${delayMs}ms`)
+            }
+        );
+        // 有部署池的模型由池选择部署 (区域, 凭证, 预置吞吐量), 失败时换下一个部署
+        const callModel = (target) => withDeploymentPool(target, callDeployment, {
+            accept: acceptCredentials,
+            onStart: (usedTarget) => {
+                // 返回实际使用的模型, 区域和部署
+                usedModel = usedTarget.supportedModel;
+                usageContext.model = requestLog.model = usedModel.modelName;
+                res.setHeader('x-bedrock-model', usedModel.modelName);
+                res.setHeader('x-bedrock-region', usedTarget.awsCreds.region);
+                if (usedTarget.deployment) { res.setHeader('x-bedrock-deployment', usedTarget.deployment); }
+            }
+        });
+        // 重试用尽后按备用链换区域, 账号或模型
+        const callBedrock = () => withModelFallbacks({ awsCreds, supportedModel }, callModel, {
+            // 备用模型同样要符合密钥允许的模型和请求用到的能力
+            accept: (target) => acceptCredentials(target)
+                && (!key || isModelAllowedForKey(key, target.supportedModel.modelName))
+                && !validateModelCapabilities(target.supportedModel, req.body).error,
+            onFallback: (error, target) => console.warn(`Bedrock ${error.code || error.name} for ${supportedModel.modelName}, falling back to ${target.supportedModel.modelName} in ${target.awsCreds.region}`)
+        });
+
         if (stream) {
-            // 设置流式响应的头部
-            res.writeHead(200, {
-                'Content-Type': 'text/event-stream',
-                'Cache-Control': 'no-cache',
-                'Connection': 'keep-alive'
-            });
+            // 设置流式响应的头部 (收到第一个分片后才发送, 以便请求错误仍可返回 4xx)
+            const writeStreamHeaders = () => {
+                if (res.headersSent) { return; }
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'Trailer': 'x-request-cost'
+                });
+            };
 
             // 流式响应
-            for await (const chunk of bedrockWrapper(awsCreds, bedrockParams, { logging: CONSOLE_LOGGING })) {
+            let hasToolCalls = false;
+            let finishReason;
+            let usage;
+            let completeResponse = '';
+            for await (const chunk of callBedrock()) {
+                writeStreamHeaders();
+                if (chunk.finish_reason) {
+                    finishReason = chunk.finish_reason;
+                    continue;
+                }
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                    continue;
+                }
+                if (chunk.tool_call) {
+                    // 工具调用增量: id 和 name 只在第一个分片中发送
+                    hasToolCalls = true;
+                    const { index, id, name, arguments: args } = chunk.tool_call;
+                    streamedOutput += args ?? '';
+                    res.write(`data: ${JSON.stringify({
+                        id: `chatcmpl-${Date.now()}`,
+                        object: "chat.completion.chunk",
+                        created: Math.floor(Date.now() / 1000),
+                        model: usedModel.modelName,
+                        choices: [{
+                            index: 0,
+                            delta: {
+                                role: "assistant",
+                                tool_calls: [{
+                                    index,
+                                    ...(id && { id, type: "function" }),
+                                    function: {
+                                        ...(name && { name }),
+                                        arguments: args
+                                    }
+                                }]
+                            },
+                            finish_reason: null
+                        }]
+                    })}\n\n`);
+                    continue;
+                }
+
                 const streamResponse = {
                     id: `chatcmpl-${Date.now()}`,
                     object: "chat.completion.chunk",
                     created: Math.floor(Date.now() / 1000),
-                    model: model,
+                    model: usedModel.modelName,
                     choices: [{
                         index: 0,
                         delta: {
@@ -208,58 +752,131 @@ app.post('/v1/chat/completions', async (req, res) => {
                 };
                 
                 res.write(`data: ${JSON.stringify(streamResponse)}\n\n`);
+                completeResponse += chunk;
+                streamedOutput += chunk;
                 if (CONSOLE_LOGGING) { stdout.write(chunk); }
             }
 
             // 发送结束消息
+            writeStreamHeaders();
             res.write(`data: ${JSON.stringify({
                 id: `chatcmpl-${Date.now()}`,
                 object: "chat.completion.chunk",
                 created: Math.floor(Date.now() / 1000),
-                model: model,
+                model: usedModel.modelName,
                 choices: [{
                     index: 0,
                     delta: {},
-                    finish_reason: "stop"
+                    finish_reason: finishReason || (hasToolCalls ? "tool_calls" : "stop")
                 }]
             })}\n\n`);
+
+            // 按 OpenAI 的 stream_options.include_usage 在最后发送用量
+            usage = usage || estimateUsage(messages, completeResponse);
+            const cost = settleUsage(usage);
+            if (stream_options?.include_usage) {
+                res.write(`data: ${JSON.stringify({
+                    id: `chatcmpl-${Date.now()}`,
+                    object: "chat.completion.chunk",
+                    created: Math.floor(Date.now() / 1000),
+                    model: usedModel.modelName,
+                    choices: [],
+                    usage
+                })}\n\n`);
+            }
             res.write('data: [DONE]\n\n');
+            // 流式响应的费用在结束时作为 trailer 发送
+            res.addTrailers({ 'x-request-cost': cost.toFixed(6) });
             res.end();
         } else {
             // 非流式响应
             let completeResponse = '';
-            const response = await bedrockWrapper(awsCreds, bedrockParams, { logging: CONSOLE_LOGGING });
+            let finishReason;
+            let usage;
+            const toolCalls = [];
+            const response = callBedrock();
             
             for await (const data of response) {
-                completeResponse += data;
+                if (data.finish_reason) {
+                    finishReason = data.finish_reason;
+                } else if (data.usage) {
+                    usage = data.usage;
+                } else if (data.tool_call) {
+                    const { id, name, arguments: args } = data.tool_call;
+                    toolCalls.push({ id, type: "function", function: { name, arguments: args } });
+                } else {
+                    completeResponse += data;
+                }
             }
 
+            usage = usage || estimateUsage(messages, completeResponse);
+            const cost = settleUsage(usage);
+
             // 设置 JSON 响应的头部
             res.setHeader('Content-Type', 'application/json');
+            res.setHeader('x-request-cost', cost.toFixed(6));
             
             // 发送完整的响应
             res.json({
                 id: `chatcmpl-${Date.now()}`,
                 object: "chat.completion",
                 created: Math.floor(Date.now() / 1000),
-                model: model,
+                model: usedModel.modelName,
                 system_fingerprint: "fp_" + Date.now(),
                 choices: [{
                     index: 0,
                     message: {
                         role: "assistant",
-                        content: completeResponse
+                        content: toolCalls.length && !completeResponse ? null : completeResponse,
+                        ...(toolCalls.length && { tool_calls: toolCalls })
                     },
-                    finish_reason: "stop"
+                    finish_reason: finishReason || (toolCalls.length ? "tool_calls" : "stop")
                 }],
-                usage: {
-                    prompt_tokens: messages.reduce((acc, msg) => acc + msg.content.length, 0),
-                    completion_tokens: completeResponse.length,
-                    total_tokens: messages.reduce((acc, msg) => acc + msg.content.length, 0) + completeResponse.length
-                }
+                usage
             });
         }
     } catch (error) {
+        requestLog.error = error.message;
+        if (res.headersSent && usageContext) {
+            // 已经发送的 token 照常计入配额, 限速和费用, 只退还没有用到的部分
+            settleUsage(estimateUsage(messages, streamedOutput), { error: true });
+        } else if (usageContext) {
+            recordUsage({ ...usageContext, error: true }).catch(logStoreError);
+        }
+        if (res.headersSent) {
+            // 流已经开始, 无法再返回错误状态码
+            console.error("Error during streaming:", error);
+            return res.end();
+        }
+        if (error instanceof InvalidRequestError) {
+            return res.status(400).json({
+                error: {
+                    message: error.message,
+                    type: "invalid_request_error",
+                    param: error.param,
+                    code: error.code || 400
+                }
+            });
+        }
+        // Bedrock 和凭证错误映射为对应的状态码和 OpenAI 错误对象
+        const bedrockError = mapBedrockError(error);
+        if (bedrockError) {
+            if (bedrockError.status >= 500) {
+                console.error(`Bedrock error (${error.name}):`, error.message);
+            }
+            if (bedrockError.retryAfterMs !== undefined) {
+                // 重试用尽: 返回 Retry-After, 让 OpenAI SDK 自己稍后重试
+                res.setHeader('retry-after', String(Math.max(1, Math.ceil(bedrockError.retryAfterMs / 1000))));
+            }
+            return res.status(bedrockError.status).json({
+                error: {
+                    message: bedrockError.message,
+                    type: bedrockError.type,
+                    param: bedrockError.param,
+                    code: bedrockError.code
+                }
+            });
+        }
         console.error("Error during request processing:", error);
         res.status(500).json({
             error: {
@@ -268,9 +885,34 @@ app.post('/v1/chat/completions', async (req, res) => {
                 code: 500
             }
         });
+    } finally {
+        // 请求失败时退还预扣的 token
+        settleRateLimit(0);
+        releaseKeyRequest();
+        recordRequestLog({ ...requestLog, status: res.statusCode, durationMs: Date.now() - startedAt }).catch(logStoreError);
     }
 });
 
+// ----------------------------------------------------------------
+// -- estimated usage for models that do not report token counts --
+// ----------------------------------------------------------------
+function estimateUsage(messages, completion) {
+    const prompt_tokens = estimatePromptTokens(messages);
+    const completion_tokens = estimateTokens(completion);
+    return {
+        prompt_tokens,
+        completion_tokens,
+        total_tokens: prompt_tokens + completion_tokens
+    };
+}
+
+// -------------------------------------------------------------------
+// -- counters are updated after the response, failures only logged --
+// -------------------------------------------------------------------
+function logStoreError(error) {
+    console.error("Failed to record the usage:", error.message);
+}
+
 // ----------------------
 // -- start the server --
 // ----------------------
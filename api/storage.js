@@ -0,0 +1,321 @@
+// ======================================================================
+// == Storage                                                          ==
+// ==                                                                  ==
+// == Durable state of the proxy: keys and teams of the admin API,     ==
+// == daily usage rollups and request logs. SQLite is the default, the ==
+// == schema is migrated when the storage is opened.                   ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { mkdirSync } from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+
+// storage interface (every method returns a promise):
+//   listKeys()                       → stored keys of the admin API
+//   getKey(id)                       → a stored key or undefined
+//   saveKey(key)                     → creates or replaces a stored key ({ id, name, disabled, createdAt, updatedAt, ... })
+//   deleteKey(id)                    → also drops the key's hashes
+//   setKeyHash(hash, id, expiresAt?) → points a key hash to a key, until `expiresAt` (ISO time) if set
+//   deleteKeyHash(hash)
+//   findKeyByHash(hash)              → the stored key of an unexpired hash or undefined
+//   setKeyLastUsed(id, time)         → for admin and file keys
+//   getKeysLastUsed()                → { <id>: time }
+//   listTeams()                      → { <name>: { budgets, createdAt, updatedAt } }
+//   getTeam(name)                    → { budgets, createdAt, updatedAt } or undefined
+//   saveTeam(name, team)
+//   deleteTeam(name)
+//   addUsage(day, { caller, team, model }, metrics)
+//                                    → adds { requests, errors, prompt_tokens, completion_tokens, cost_usd } to a daily rollup
+//   getUsage(startDate, endDate)     → [ { day, caller, team, model, ...metrics } ], dates inclusive
+//   addRequestLog(entry)             → { time, caller, team, model, stream, status, durationMs, promptTokens, completionTokens, costUsd, error }
+//   listRequestLogs({ caller, since, limit })
+//                                    → newest first
+//   prune({ usageBefore, requestLogsBefore })
+//                                    → drops rollups before a day and request logs before a time
+//   close()
+let activeStorage;
+
+// applied in order, the version of a migration is its position (1, 2, ...)
+const MIGRATIONS = [
+    `
+    CREATE TABLE keys (
+        id          TEXT PRIMARY KEY,
+        name        TEXT NOT NULL UNIQUE,
+        data        TEXT NOT NULL,
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+    );
+    CREATE TABLE key_hashes (
+        hash        TEXT PRIMARY KEY,
+        key_id      TEXT NOT NULL REFERENCES keys (id) ON DELETE CASCADE,
+        expires_at  TEXT
+    );
+    CREATE INDEX key_hashes_key_id ON key_hashes (key_id);
+    CREATE TABLE key_last_used (
+        key_id        TEXT PRIMARY KEY,
+        last_used_at  TEXT NOT NULL
+    );
+    CREATE TABLE teams (
+        name        TEXT PRIMARY KEY,
+        data        TEXT NOT NULL,
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+    );
+    CREATE TABLE usage_daily (
+        day                TEXT NOT NULL,
+        caller             TEXT NOT NULL,
+        team               TEXT NOT NULL DEFAULT '',
+        model              TEXT NOT NULL,
+        requests           INTEGER NOT NULL DEFAULT 0,
+        errors             INTEGER NOT NULL DEFAULT 0,
+        prompt_tokens      INTEGER NOT NULL DEFAULT 0,
+        completion_tokens  INTEGER NOT NULL DEFAULT 0,
+        cost_usd           REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (day, caller, team, model)
+    );
+    CREATE TABLE request_logs (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        time               TEXT NOT NULL,
+        caller             TEXT,
+        team               TEXT,
+        model              TEXT,
+        stream             INTEGER NOT NULL DEFAULT 0,
+        status             INTEGER,
+        duration_ms        INTEGER,
+        prompt_tokens      INTEGER,
+        completion_tokens  INTEGER,
+        cost_usd           REAL,
+        error              TEXT
+    );
+    CREATE INDEX request_logs_time ON request_logs (time);
+    CREATE INDEX request_logs_caller_time ON request_logs (caller, time);
+    `
+];
+
+
+// -----------------------------------------
+// -- run the migrations a database lacks --
+// -----------------------------------------
+// returns the schema version after the migrations
+function migrate(db) {
+    db.exec("CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)");
+    const version = db.prepare("SELECT MAX(version) FROM schema_migrations").pluck().get() ?? 0;
+    if (version > MIGRATIONS.length) {
+        throw new Error(`The storage has schema version ${version}, this proxy only knows ${MIGRATIONS.length}`);
+    }
+    for (let next = version + 1; next <= MIGRATIONS.length; next++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[next - 1]);
+            db.prepare("INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)").run(next, new Date().toISOString());
+        })();
+    }
+    return MIGRATIONS.length;
+}
+
+
+// ---------------------------------------
+// -- create a storage on a SQLite file --
+// ---------------------------------------
+// `filename` ":memory:" keeps the database in memory
+export function createSqliteStorage(filename) {
+    if (filename !== ":memory:") {
+        mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+    const db = new Database(filename);
+    db.pragma("journal_mode = WAL");
+    db.pragma("foreign_keys = ON");
+    const schemaVersion = migrate(db);
+
+    const statements = {
+        listKeys: db.prepare("SELECT data FROM keys ORDER BY created_at, id"),
+        getKey: db.prepare("SELECT data FROM keys WHERE id = ?"),
+        saveKey: db.prepare(`
+            INSERT INTO keys (id, name, data, created_at, updated_at) VALUES (@id, @name, @data, @createdAt, @updatedAt)
+            ON CONFLICT (id) DO UPDATE SET name = excluded.name, data = excluded.data, updated_at = excluded.updated_at`),
+        deleteKey: db.prepare("DELETE FROM keys WHERE id = ?"),
+        deleteLastUsed: db.prepare("DELETE FROM key_last_used WHERE key_id = ?"),
+        setKeyHash: db.prepare(`
+            INSERT INTO key_hashes (hash, key_id, expires_at) VALUES (?, ?, ?)
+            ON CONFLICT (hash) DO UPDATE SET key_id = excluded.key_id, expires_at = excluded.expires_at`),
+        deleteKeyHash: db.prepare("DELETE FROM key_hashes WHERE hash = ?"),
+        findKeyByHash: db.prepare(`
+            SELECT keys.data FROM key_hashes JOIN keys ON keys.id = key_hashes.key_id
+            WHERE key_hashes.hash = ? AND (key_hashes.expires_at IS NULL OR key_hashes.expires_at > ?)`),
+        setKeyLastUsed: db.prepare(`
+            INSERT INTO key_last_used (key_id, last_used_at) VALUES (?, ?)
+            ON CONFLICT (key_id) DO UPDATE SET last_used_at = excluded.last_used_at`),
+        getKeysLastUsed: db.prepare("SELECT key_id, last_used_at FROM key_last_used"),
+        listTeams: db.prepare("SELECT name, data, created_at, updated_at FROM teams ORDER BY name"),
+        getTeam: db.prepare("SELECT data, created_at, updated_at FROM teams WHERE name = ?"),
+        saveTeam: db.prepare(`
+            INSERT INTO teams (name, data, created_at, updated_at) VALUES (@name, @data, @createdAt, @updatedAt)
+            ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        deleteTeam: db.prepare("DELETE FROM teams WHERE name = ?"),
+        addUsage: db.prepare(`
+            INSERT INTO usage_daily (day, caller, team, model, requests, errors, prompt_tokens, completion_tokens, cost_usd)
+            VALUES (@day, @caller, @team, @model, @requests, @errors, @prompt_tokens, @completion_tokens, @cost_usd)
+            ON CONFLICT (day, caller, team, model) DO UPDATE SET
+                requests = requests + excluded.requests,
+                errors = errors + excluded.errors,
+                prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+                completion_tokens = completion_tokens + excluded.completion_tokens,
+                cost_usd = cost_usd + excluded.cost_usd`),
+        getUsage: db.prepare(`
+            SELECT day, caller, team, model, requests, errors, prompt_tokens, completion_tokens, cost_usd
+            FROM usage_daily WHERE day >= ? AND day <= ? ORDER BY day`),
+        addRequestLog: db.prepare(`
+            INSERT INTO request_logs (time, caller, team, model, stream, status, duration_ms, prompt_tokens, completion_tokens, cost_usd, error)
+            VALUES (@time, @caller, @team, @model, @stream, @status, @durationMs, @promptTokens, @completionTokens, @costUsd, @error)`),
+        listRequestLogs: db.prepare(`
+            SELECT * FROM request_logs
+            WHERE (@caller IS NULL OR caller = @caller) AND (@since IS NULL OR time >= @since)
+            ORDER BY time DESC, id DESC LIMIT @limit`),
+        pruneUsage: db.prepare("DELETE FROM usage_daily WHERE day < ?"),
+        pruneRequestLogs: db.prepare("DELETE FROM request_logs WHERE time < ?"),
+        pruneKeyHashes: db.prepare("DELETE FROM key_hashes WHERE expires_at IS NOT NULL AND expires_at <= ?")
+    };
+
+    return {
+        description: filename === ":memory:" ? "in-memory SQLite" : `SQLite at ${filename}`,
+        schemaVersion,
+        async listKeys() {
+            return statements.listKeys.all().map(({ data }) => JSON.parse(data));
+        },
+        async getKey(id) {
+            const row = statements.getKey.get(id);
+            return row && JSON.parse(row.data);
+        },
+        async saveKey(key) {
+            statements.saveKey.run({ id: key.id, name: key.name, data: JSON.stringify(key), createdAt: key.createdAt, updatedAt: key.updatedAt });
+        },
+        async deleteKey(id) {
+            db.transaction(() => {
+                statements.deleteKey.run(id);
+                statements.deleteLastUsed.run(id);
+            })();
+        },
+        async setKeyHash(hash, id, expiresAt) {
+            statements.setKeyHash.run(hash, id, expiresAt ?? null);
+        },
+        async deleteKeyHash(hash) {
+            statements.deleteKeyHash.run(hash);
+        },
+        async findKeyByHash(hash) {
+            const row = statements.findKeyByHash.get(hash, new Date().toISOString());
+            return row && JSON.parse(row.data);
+        },
+        async setKeyLastUsed(id, time) {
+            statements.setKeyLastUsed.run(id, time);
+        },
+        async getKeysLastUsed() {
+            return Object.fromEntries(statements.getKeysLastUsed.all().map((row) => [row.key_id, row.last_used_at]));
+        },
+        async listTeams() {
+            return Object.fromEntries(statements.listTeams.all().map((row) => [row.name, {
+                ...JSON.parse(row.data),
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            }]));
+        },
+        async getTeam(name) {
+            const row = statements.getTeam.get(name);
+            return row && { ...JSON.parse(row.data), createdAt: row.created_at, updatedAt: row.updated_at };
+        },
+        async saveTeam(name, { createdAt, updatedAt, ...team }) {
+            statements.saveTeam.run({ name, data: JSON.stringify(team), createdAt, updatedAt });
+        },
+        async deleteTeam(name) {
+            statements.deleteTeam.run(name);
+        },
+        async addUsage(day, { caller, team, model }, metrics) {
+            statements.addUsage.run({
+                day,
+                caller,
+                team: team ?? "",
+                model,
+                requests: metrics.requests ?? 0,
+                errors: metrics.errors ?? 0,
+                prompt_tokens: metrics.prompt_tokens ?? 0,
+                completion_tokens: metrics.completion_tokens ?? 0,
+                cost_usd: metrics.cost_usd ?? 0
+            });
+        },
+        async getUsage(startDate, endDate) {
+            return statements.getUsage.all(startDate, endDate);
+        },
+        async addRequestLog(entry) {
+            statements.addRequestLog.run({
+                time: entry.time,
+                caller: entry.caller ?? null,
+                team: entry.team ?? null,
+                model: entry.model ?? null,
+                stream: entry.stream ? 1 : 0,
+                status: entry.status ?? null,
+                durationMs: entry.durationMs ?? null,
+                promptTokens: entry.promptTokens ?? null,
+                completionTokens: entry.completionTokens ?? null,
+                costUsd: entry.costUsd ?? null,
+                error: entry.error ?? null
+            });
+        },
+        async listRequestLogs({ caller, since, limit = 100 } = {}) {
+            return statements.listRequestLogs.all({ caller: caller ?? null, since: since ?? null, limit }).map((row) => ({
+                id: row.id,
+                time: row.time,
+                caller: row.caller,
+                team: row.team,
+                model: row.model,
+                stream: row.stream === 1,
+                status: row.status,
+                durationMs: row.duration_ms,
+                promptTokens: row.prompt_tokens,
+                completionTokens: row.completion_tokens,
+                costUsd: row.cost_usd,
+                error: row.error
+            }));
+        },
+        async prune({ usageBefore, requestLogsBefore }) {
+            if (usageBefore) { statements.pruneUsage.run(usageBefore); }
+            if (requestLogsBefore) { statements.pruneRequestLogs.run(requestLogsBefore); }
+            statements.pruneKeyHashes.run(new Date().toISOString());
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
+
+
+// ----------------------------------------------------------
+// -- open the storage of a STORAGE_URL and make it active --
+// ----------------------------------------------------------
+// sqlite://<path> (relative to the working directory, sqlite:///<path> for
+// an absolute one) or memory:// for a SQLite database that is not kept
+export async function openStorage(url = "sqlite://data/bedrock-proxy.db") {
+    const protocol = url.slice(0, url.indexOf(":") + 1);
+    let storage;
+    if (protocol === "sqlite:") {
+        storage = createSqliteStorage(url.replace(/^sqlite:(\/\/)?/, "") || "data/bedrock-proxy.db");
+    } else if (protocol === "memory:") {
+        storage = createSqliteStorage(":memory:");
+    } else {
+        throw new Error(`Unsupported storage "${protocol || url}", use sqlite:// or memory://`);
+    }
+    await activeStorage?.close();
+    activeStorage = storage;
+    return storage;
+}
+
+
+// -------------------------------
+// -- return the active storage --
+// -------------------------------
+// opens an in-memory storage when none was opened yet
+export function getStorage() {
+    activeStorage ??= createSqliteStorage(":memory:");
+    return activeStorage;
+}
@@ -0,0 +1,195 @@
+// ======================================================================
+// == Store                                                            ==
+// ==                                                                  ==
+// == Shared state for rate limits, quotas and caches. The in-memory   ==
+// == store is the default, a Redis-protocol store (STORE_URL) shares  ==
+// == the state between several proxy instances.                       ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import { createRedisStore } from "./redis-store.js";
+
+
+// store interface (every method returns a promise):
+//   get(key)                        → the value or undefined
+//   set(key, value, ttlMs?)         → stores a JSON serializable value
+//   delete(key)
+//   increment(key, amount, ttlMs?)  → the new counter value, the ttl is set when the counter is created
+//   acquireSlot(key, limit, ttlMs)  → the id of a new slot, or undefined when `limit` slots are taken;
+//       every slot expires on its own after `ttlMs` (e.g. of an instance that died without releasing it)
+//   refreshSlot(key, slotId, ttlMs) → true when the slot was still held, its expiry is moved to `ttlMs` from now
+//   releaseSlot(key, slotId)
+//   takeTokens(buckets, { force })  → { allowed, levels }
+//       buckets: [ { key, limit, amount, refillMs } ] refilled continuously to `limit` every `refillMs`,
+//       `amount` is only taken from the buckets if all of them have enough left (or `force` is set),
+//       `levels` are the bucket levels after the call
+//   close()
+let activeStore = createMemoryStore();
+
+
+// -------------------------------
+// -- create an in-memory store --
+// -------------------------------
+export function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    const read = (key, now = Date.now()) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== undefined && entry.expiresAt <= now) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+    const write = (key, value, ttlMs) => {
+        entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : undefined });
+    };
+
+    // drop expired entries that are never read again
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const key of entries.keys()) { read(key, now); }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        async get(key) {
+            return read(key)?.value;
+        },
+        async set(key, value, ttlMs) {
+            write(key, value, ttlMs);
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async increment(key, amount = 1, ttlMs) {
+            const entry = read(key);
+            if (!entry) {
+                write(key, amount, ttlMs);
+                return amount;
+            }
+            entry.value += amount;
+            return entry.value;
+        },
+        async acquireSlot(key, limit, ttlMs) {
+            const now = Date.now();
+            // slot id -> expiry time, the entry lives as long as its newest slot
+            const slots = read(key, now)?.value ?? new Map();
+            for (const [slotId, expiresAt] of slots) {
+                if (expiresAt <= now) { slots.delete(slotId); }
+            }
+            if (slots.size >= limit) { return undefined; }
+            const slotId = crypto.randomUUID();
+            slots.set(slotId, now + ttlMs);
+            write(key, slots, ttlMs);
+            return slotId;
+        },
+        async refreshSlot(key, slotId, ttlMs) {
+            const now = Date.now();
+            const slots = read(key, now)?.value;
+            if (!(slots?.get(slotId) > now)) { return false; }
+            slots.set(slotId, now + ttlMs);
+            write(key, slots, ttlMs);
+            return true;
+        },
+        async releaseSlot(key, slotId) {
+            read(key)?.value.delete(slotId);
+        },
+        async takeTokens(buckets, { force = false } = {}) {
+            const now = Date.now();
+            const levels = buckets.map(({ key, limit, refillMs }) => getBucketLevel(read(key, now)?.value, { limit, refillMs, now }));
+            const allowed = buckets.every(({ amount }, index) => levels[index] >= amount);
+            if (allowed || force) {
+                buckets.forEach(({ key, limit, amount, refillMs }, index) => {
+                    levels[index] = Math.min(limit, levels[index] - amount);
+                    write(key, { level: levels[index], updatedAt: now }, getBucketTtl(levels[index], { limit, refillMs }));
+                });
+            }
+            return { allowed, levels };
+        },
+        async close() {
+            clearInterval(sweeper);
+        }
+    };
+}
+
+
+// ------------------------------------------
+// -- level of a refilling bucket at `now` --
+// ------------------------------------------
+// a missing bucket is full
+function getBucketLevel(state, { limit, refillMs, now }) {
+    if (!state) { return limit; }
+    return Math.min(limit, state.level + Math.max(0, now - state.updatedAt) * limit / refillMs);
+}
+
+
+// ------------------------------------------------------------
+// -- time until a bucket is full again (and can be dropped) --
+// ------------------------------------------------------------
+function getBucketTtl(level, { limit, refillMs }) {
+    return Math.ceil((limit - level) * refillMs / limit) + 1000;
+}
+
+
+// ------------------------------------------------------
+// -- open the store of a STORE_URL and make it active --
+// ------------------------------------------------------
+// memory:// (default), redis://[user:password@]host:port[/db] or rediss://...
+export async function openStore(url) {
+    const protocol = url ? new URL(url).protocol : "memory:";
+    let store;
+    if (protocol === "memory:") {
+        store = createMemoryStore();
+    } else if (protocol === "redis:" || protocol === "rediss:") {
+        store = createRedisStore(url);
+        // fail at startup when the server can not be reached
+        await store.get("ping");
+    } else {
+        throw new Error(`Unsupported store "${protocol}", use memory://, redis:// or rediss://`);
+    }
+    await activeStore.close();
+    activeStore = store;
+    return store;
+}
+
+
+// -----------------------------
+// -- return the active store --
+// -----------------------------
+export function getStore() {
+    return activeStore;
+}
+
+
+// -----------------------------------------------------------
+// -- express-rate-limit store (fixed windows) on the store --
+// -----------------------------------------------------------
+export function createRateLimitStore({ prefix = "ip:" } = {}) {
+    let windowMs;
+    const windowKey = (key) => {
+        const window = Math.floor(Date.now() / windowMs);
+        return { id: `${prefix}${key}:${window}`, resetTime: new Date((window + 1) * windowMs) };
+    };
+    return {
+        // counters are shared between instances
+        localKeys: false,
+        init(options) {
+            windowMs = options.windowMs;
+        },
+        async increment(key) {
+            const { id, resetTime } = windowKey(key);
+            const totalHits = await getStore().increment(id, 1, windowMs);
+            return { totalHits, resetTime };
+        },
+        async decrement(key) {
+            await getStore().increment(windowKey(key).id, -1, windowMs);
+        },
+        async resetKey(key) {
+            await getStore().delete(windowKey(key).id);
+        }
+    };
+}
@@ -0,0 +1,354 @@
+// ======================================================================
+// == Usage                                                            ==
+// ==                                                                  ==
+// == Cost of every request from the model's price table, daily usage  ==
+// == rollups per caller / team / model, soft / hard budgets and the   ==
+// == usage reports (JSON / CSV) built from the rollups, request logs. ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { getStore } from "./store.js";
+import { getStorage } from "./storage.js";
+import { listProxyKeys } from "./managed-keys.js";
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// daily rollups are kept for a bit more than a year
+const USAGE_RETENTION_MS = 400 * DAY_MS;
+const MAX_REQUEST_LOGS = 1000;
+
+// a report can not reach further back than the rollups are kept
+const MAX_REPORT_DAYS = 400;
+
+const USAGE_METRICS = ["requests", "errors", "prompt_tokens", "completion_tokens", "cost_usd"];
+const USAGE_GROUPS = ["key", "team", "model"];
+const USAGE_BUCKETS = ["day", "month", "total"];
+const USAGE_FORMATS = ["json", "csv"];
+
+// spend counters are kept in micro-USD so they can be added as integers
+const MICRO_USD = 1000000;
+const SPEND_TTL_MS = { daily: 2 * DAY_MS, monthly: 32 * DAY_MS };
+
+
+// -------------------------------------------
+// -- current daily / monthly period labels --
+// -------------------------------------------
+function getPeriods(now = new Date()) {
+    const daily = now.toISOString().slice(0, 10);
+    return { daily, monthly: daily.slice(0, 7) };
+}
+
+
+// -------------------------------------------------------
+// -- cost of a request in USD from the model's pricing --
+// -------------------------------------------------------
+export function calculateCost(pricing, usage) {
+    if (!pricing || !usage) { return 0; }
+    return ((usage.prompt_tokens ?? 0) * (pricing.input_per_1k_tokens ?? 0)
+        + (usage.completion_tokens ?? 0) * (pricing.output_per_1k_tokens ?? 0)) / 1000;
+}
+
+
+// -------------------------------------------------
+// -- budget scopes (key and team) of a proxy key --
+// -------------------------------------------------
+function getBudgetScopes(key) {
+    const scopes = [{ id: `key:${key.id}`, label: `API key ${key.name}`, budgets: key.budgets }];
+    if (key.team) {
+        scopes.push({ id: `team:${key.team}`, label: `team ${key.team}`, budgets: key.teamBudgets });
+    }
+    return scopes;
+}
+
+
+// ---------------------------------------------
+// -- check the budgets of a key and its team --
+// ---------------------------------------------
+// returns { error: true, code, message } when a hard budget is used up,
+// otherwise { error: false, warnings } with a warning per soft budget reached
+export async function checkBudgets(key) {
+    const periods = getPeriods();
+    const warnings = [];
+    for (const scope of getBudgetScopes(key)) {
+        for (const [period, levels] of Object.entries(scope.budgets ?? {})) {
+            const spent = (await getStore().get(`spend:${scope.id}:${period}:${periods[period]}`) ?? 0) / MICRO_USD;
+            const name = period === "daily" ? "Daily" : "Monthly";
+            if (levels.hard && spent >= levels.hard) {
+                return {
+                    error: true,
+                    code: `${period}_budget_exceeded`,
+                    message: `${name} budget of $${levels.hard.toFixed(2)} for ${scope.label} exceeded ($${spent.toFixed(2)} spent)`
+                };
+            }
+            if (levels.soft && spent >= levels.soft) {
+                warnings.push(`${name} budget of ${scope.label}: $${spent.toFixed(2)} spent, soft limit $${levels.soft.toFixed(2)}${levels.hard ? `, hard limit $${levels.hard.toFixed(2)}` : ""}`);
+            }
+        }
+    }
+    return { error: false, warnings };
+}
+
+
+// -----------------------------------------------------
+// -- add a finished (or failed) request to the usage --
+// -----------------------------------------------------
+// proxy keys are recorded by their id, so a renamed key keeps its history and
+// a new key with the name of a deleted one starts without any
+export async function recordUsage({ key, caller, model, usage, cost = 0, error = false }) {
+    const periods = getPeriods();
+    const team = key?.team;
+    const updates = [getStorage().addUsage(periods.daily, { caller: key?.id ?? caller, team, model }, {
+        requests: 1,
+        errors: error ? 1 : 0,
+        prompt_tokens: usage?.prompt_tokens ?? 0,
+        completion_tokens: usage?.completion_tokens ?? 0,
+        cost_usd: cost
+    })];
+
+    const microUsd = Math.round(cost * MICRO_USD);
+    if (key && microUsd > 0) {
+        for (const scope of getBudgetScopes(key)) {
+            for (const period of ["daily", "monthly"]) {
+                updates.push(getStore().increment(`spend:${scope.id}:${period}:${periods[period]}`, microUsd, SPEND_TTL_MS[period]));
+            }
+        }
+    }
+    await Promise.all(updates);
+}
+
+
+// ----------------------------------------------
+// -- parse the query string of a usage report --
+// ----------------------------------------------
+// start_date / end_date (YYYY-MM-DD, UTC, inclusive), bucket (day | month | total),
+// group_by (comma separated key, team, model), key / team / model filters and format
+// returns { error: true, param, message } or { error: false, ...options }
+export function parseUsageQuery(query = {}, { format = "json" } = {}) {
+    const today = getPeriods().daily;
+    const endDate = query.end_date ?? today;
+    const startDate = query.start_date ?? `${endDate.slice(0, 7)}-01`;
+    for (const [param, value] of [["start_date", startDate], ["end_date", endDate]]) {
+        if (!isValidDate(value)) {
+            return { error: true, param, message: `${param} must be a date in the format YYYY-MM-DD` };
+        }
+    }
+    if (startDate > endDate) {
+        return { error: true, param: "start_date", message: "start_date must not be after end_date" };
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS + 1 > MAX_REPORT_DAYS) {
+        return { error: true, param: "start_date", message: `A usage report can cover at most ${MAX_REPORT_DAYS} days` };
+    }
+
+    const bucket = query.bucket ?? "day";
+    if (!USAGE_BUCKETS.includes(bucket)) {
+        return { error: true, param: "bucket", message: `bucket must be one of ${USAGE_BUCKETS.join(", ")}` };
+    }
+    const groupBy = String(query.group_by ?? "key,model").split(",").map((group) => group.trim()).filter(Boolean);
+    const unknownGroup = groupBy.find((group) => !USAGE_GROUPS.includes(group));
+    if (unknownGroup) {
+        return { error: true, param: "group_by", message: `Unknown group_by '${unknownGroup}', use ${USAGE_GROUPS.join(", ")}` };
+    }
+    const reportFormat = query.format ?? format;
+    if (!USAGE_FORMATS.includes(reportFormat)) {
+        return { error: true, param: "format", message: `format must be one of ${USAGE_FORMATS.join(", ")}` };
+    }
+
+    return {
+        error: false,
+        startDate,
+        endDate,
+        bucket,
+        groupBy: USAGE_GROUPS.filter((group) => groupBy.includes(group)),
+        filters: { key: query.key, team: query.team, model: query.model },
+        format: reportFormat
+    };
+}
+
+
+// ------------------------------------
+// -- check a YYYY-MM-DD date string --
+// ------------------------------------
+function isValidDate(value) {
+    return typeof value === "string"
+        && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !isNaN(Date.parse(value))
+        && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+
+// ----------------------------------------------------
+// -- first and last day of the time bucket of a day --
+// ----------------------------------------------------
+// buckets are cut to the report's date range
+function getBucketRange(day, { bucket, startDate, endDate }) {
+    if (bucket === "day") { return [day, day]; }
+    if (bucket === "total") { return [startDate, endDate]; }
+    const month = day.slice(0, 7);
+    const lastDay = new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 0)).toISOString().slice(0, 10);
+    return [
+        startDate > `${month}-01` ? startDate : `${month}-01`,
+        endDate < lastDay ? endDate : lastDay
+    ];
+}
+
+
+// -----------------------------------------------------
+// -- aggregate the daily rollups into a usage report --
+// -----------------------------------------------------
+// returns { start_date, end_date, bucket, group_by, data: [row], totals }
+// where a row has period_start, period_end, the group_by columns and the metrics
+//
+// rows of proxy keys are grouped by the key's id (`key_id`) and show its current
+// name as `key`, deleted keys are shown by their id. The `key` filter takes a name
+// or an id, `keyId` only an id (the report of a proxy key itself)
+export async function getUsageReport({ startDate, endDate, bucket = "day", groupBy = USAGE_GROUPS, filters = {} }) {
+    const keyNames = await getKeyNames();
+    const rows = new Map();
+    for (const rollup of await getStorage().getUsage(startDate, endDate)) {
+        const values = { key: keyNames.get(rollup.caller) ?? rollup.caller, team: rollup.team || null, model: rollup.model };
+        if (filters.keyId !== undefined && filters.keyId !== rollup.caller) { continue; }
+        if (filters.key !== undefined && filters.key !== values.key && filters.key !== rollup.caller) { continue; }
+        if (["team", "model"].some((group) => filters[group] !== undefined && filters[group] !== (values[group] ?? ""))) {
+            continue;
+        }
+        const [periodStart, periodEnd] = getBucketRange(rollup.day, { bucket, startDate, endDate });
+        const rowId = JSON.stringify([periodStart, ...groupBy.map((group) => (group === "key" ? rollup.caller : values[group]))]);
+        let row = rows.get(rowId);
+        if (!row) {
+            row = { period_start: periodStart, period_end: periodEnd };
+            for (const group of groupBy) {
+                row[group] = values[group];
+                if (group === "key") { row.key_id = rollup.caller; }
+            }
+            for (const name of USAGE_METRICS) { row[name] = 0; }
+            rows.set(rowId, row);
+        }
+        for (const name of USAGE_METRICS) { row[name] += rollup[name]; }
+    }
+
+    const totals = Object.fromEntries(USAGE_METRICS.map((name) => [name, 0]));
+    const data = [...rows.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, row]) => {
+            for (const name of USAGE_METRICS) { totals[name] += row[name]; }
+            return finishUsageRow(row);
+        });
+
+    return {
+        object: "usage_report",
+        start_date: startDate,
+        end_date: endDate,
+        bucket,
+        group_by: groupBy,
+        data,
+        totals: finishUsageRow(totals)
+    };
+}
+
+
+// --------------------------------------------------
+// -- add total_tokens and round the cost of a row --
+// --------------------------------------------------
+function finishUsageRow(row) {
+    const { cost_usd, ...counts } = row;
+    return {
+        ...counts,
+        total_tokens: row.prompt_tokens + row.completion_tokens,
+        cost_usd: Math.round(cost_usd * MICRO_USD) / MICRO_USD
+    };
+}
+
+
+// ----------------------------------
+// -- format a usage report as CSV --
+// ----------------------------------
+// one line per row with the group_by columns, ready to paste into a spreadsheet
+export function formatUsageCsv(report) {
+    const groupColumns = report.group_by.flatMap((group) => (group === "key" ? ["key", "key_id"] : [group]));
+    const columns = ["period_start", "period_end", ...groupColumns, ...USAGE_METRICS.slice(0, -1), "total_tokens", "cost_usd"];
+    const lines = [columns.join(",")];
+    for (const row of report.data) {
+        lines.push(columns.map((column) => toCsvValue(column === "cost_usd" ? row[column].toFixed(6) : row[column])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+
+// --------------------------
+// -- escape one CSV value --
+// --------------------------
+// text that a spreadsheet would read as a formula is prefixed with a quote
+function toCsvValue(value) {
+    if (value === null || value === undefined) { return ""; }
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) { text = `'${text}`; }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+// ---------------------------------------
+// -- add a request to the request logs --
+// ---------------------------------------
+export async function recordRequestLog(entry) {
+    await getStorage().addRequestLog({
+        ...entry,
+        costUsd: entry.costUsd === undefined ? undefined : Math.round(entry.costUsd * MICRO_USD) / MICRO_USD
+    });
+}
+
+
+// --------------------------------------------------
+// -- the newest request logs, optionally filtered --
+// --------------------------------------------------
+// returns { error: true, param, message } or { error: false, data }
+//
+// like the usage report, logs of proxy keys are recorded by the key's id and
+// show its current name as `caller` (deleted keys by their id) with the id as
+// `keyId`. The `key` filter takes a name or an id
+export async function listRequestLogs({ key, since, limit = "100" } = {}) {
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_REQUEST_LOGS) {
+        return { error: true, param: "limit", message: `limit must be a number from 1 to ${MAX_REQUEST_LOGS}` };
+    }
+    if (since !== undefined && isNaN(Date.parse(since))) {
+        return { error: true, param: "since", message: "since must be a date or an ISO time" };
+    }
+    const keyNames = await getKeyNames();
+    const keyId = key === undefined ? undefined : [...keyNames].find(([, name]) => name === key)?.[0] ?? key;
+    const logs = await getStorage().listRequestLogs({
+        caller: keyId,
+        since: since && new Date(since).toISOString(),
+        limit: count
+    });
+    const data = logs.map((log) => ({ ...log, caller: keyNames.get(log.caller) ?? log.caller, keyId: log.caller }));
+    return { error: false, data };
+}
+
+
+// --------------------------------------------------
+// -- current names of the proxy keys, by their id --
+// --------------------------------------------------
+async function getKeyNames() {
+    return new Map((await listProxyKeys()).map((key) => [key.id, key.name]));
+}
+
+
+// --------------------------------------------------------
+// -- drop old usage rollups and request logs once a day --
+// --------------------------------------------------------
+export function scheduleUsageCleanup({ requestLogRetentionDays }) {
+    const prune = () => {
+        const now = Date.now();
+        getStorage().prune({
+            usageBefore: new Date(now - USAGE_RETENTION_MS).toISOString().slice(0, 10),
+            requestLogsBefore: new Date(now - requestLogRetentionDays * DAY_MS).toISOString()
+        }).catch((error) => {
+            console.error("Failed to drop old usage from the storage:", error.message);
+        });
+    };
+    prune();
+    setInterval(prune, DAY_MS).unref();
+}
@@ -0,0 +1,228 @@
+// ======================================================================
+// == Virtual API Keys                                                 ==
+// ==                                                                  ==
+// == Opaque `sk-bp-...` keys issued by the proxy. Each key maps to a  ==
+// == credential set, a region and an optional list of allowed models. ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import crypto from "crypto";
+import { readFile } from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { createCredentialSets, createAssumeRoleProvider, getRoleAccountId } from "./credentials.js";
+
+
+export const PROXY_KEY_PREFIX = "sk-bp-";
+
+const QUOTA_FIELDS = ["requestsPerDay", "requestsPerMonth", "tokensPerDay", "tokensPerMonth"];
+const BUDGET_PERIODS = ["daily", "monthly"];
+const BUDGET_LEVELS = ["soft", "hard"];
+
+// keys are looked up by their sha256 hash, the plain key is never kept
+let keysByHash = new Map();
+// credential sets and teams of the file, also used by keys created through the admin API
+let credentialSets = new Map();
+let fileTeams = {};
+
+
+// ------------------------------
+// -- generate a new proxy key --
+// ------------------------------
+export function generateProxyKey() {
+    return PROXY_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+
+// ----------------------
+// -- hash a proxy key --
+// ----------------------
+export function hashProxyKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+
+// ------------------------------------------------------------
+// -- load credential sets and keys from a JSON or YAML file --
+// ------------------------------------------------------------
+// file format:
+//   credentials: { <name>: { accessKeyId, secretAccessKey } | { source: "env" } | { profile }, region?, accountId? }
+//   keys:        [ { name, key | key_sha256, credentials, region?, accountId?, models?, roleArn?, externalId?, durationSeconds?,
+//                    maxTokens?, maxConcurrentStreams?, quotas?: { requestsPerDay, requestsPerMonth, tokensPerDay, tokensPerMonth },
+//                    requestsPerMinute?, tokensPerMinute?, team?, budgets? } ]
+//   teams:       { <name>: { budgets? } }
+//
+// budgets are in USD: { daily?: { soft?, hard? }, monthly?: { soft?, hard? } }
+// `models` entries can end with `*` to allow a model family (e.g. "Claude-3-5-*")
+// keys with a roleArn assume that role with the credential set as base credentials
+export async function loadVirtualKeys(filePath) {
+    const text = await readFile(filePath, "utf-8");
+    const extension = path.extname(filePath).toLowerCase();
+    const config = (extension === ".yaml" || extension === ".yml") ? YAML.parse(text) : JSON.parse(text);
+
+    const sets = createCredentialSets(config?.credentials ?? {});
+    const teams = config?.teams ?? {};
+    for (const [team, settings] of Object.entries(teams)) {
+        validateBudgets(settings?.budgets, `Team ${team}`);
+    }
+    const keys = new Map();
+    for (const entry of config?.keys ?? []) {
+        const label = entry.name || "(unnamed key)";
+        const hash = entry.key_sha256 || (entry.key && hashProxyKey(entry.key));
+        if (!hash) {
+            throw new Error(`Virtual key ${label} needs a key or key_sha256`);
+        }
+        if (entry.key && !entry.key.startsWith(PROXY_KEY_PREFIX)) {
+            throw new Error(`Virtual key ${label} must start with ${PROXY_KEY_PREFIX}`);
+        }
+        keys.set(hash, createVirtualKeyRecord(entry, {
+            id: hash,
+            keyHash: hash,
+            sets,
+            teamBudgets: entry.team ? teams[entry.team]?.budgets : undefined
+        }));
+    }
+
+    credentialSets = sets;
+    fileTeams = teams;
+    keysByHash = keys;
+    return keys.size;
+}
+
+
+// -------------------------------------------------------
+// -- validate a key entry and build its runtime record --
+// -------------------------------------------------------
+// throws an Error naming the invalid field, `id` identifies the key in the
+// counters (the hash for keys from the file, so it survives a reload)
+export function createVirtualKeyRecord(entry, { id, keyHash, teamBudgets, sets = credentialSets }) {
+    const label = entry.name || "(unnamed key)";
+    const credentialSet = sets.get(entry.credentials);
+    if (!credentialSet) {
+        throw new Error(`Virtual key ${label} references unknown credential set "${entry.credentials}"`);
+    }
+    const region = entry.region || credentialSet.region || process.env.AWS_REGION;
+    if (!region) {
+        throw new Error(`Virtual key ${label} has no region`);
+    }
+    if (entry.models !== undefined && !Array.isArray(entry.models)) {
+        throw new Error(`Virtual key ${label} models must be a list of model names`);
+    }
+    for (const field of ["maxTokens", "maxConcurrentStreams", "requestsPerMinute", "tokensPerMinute", "durationSeconds"]) {
+        if (entry[field] !== undefined && !(Number.isInteger(entry[field]) && entry[field] > 0)) {
+            throw new Error(`Virtual key ${label} ${field} must be a positive integer`);
+        }
+    }
+    for (const [field, value] of Object.entries(entry.quotas ?? {})) {
+        if (!QUOTA_FIELDS.includes(field) || !(Number.isInteger(value) && value > 0)) {
+            throw new Error(`Virtual key ${label} has an invalid quota "${field}" (use ${QUOTA_FIELDS.join(", ")} with positive integers)`);
+        }
+    }
+    validateBudgets(entry.budgets, `Virtual key ${label}`);
+    if (entry.team !== undefined && typeof entry.team !== "string") {
+        throw new Error(`Virtual key ${label} team must be a string`);
+    }
+    if (entry.roleArn && !getRoleAccountId(entry.roleArn)) {
+        throw new Error(`Virtual key ${label} has an invalid roleArn "${entry.roleArn}"`);
+    }
+    return {
+        id,
+        keyHash,
+        name: label,
+        credentials: entry.credentials,
+        region,
+        accountId: entry.accountId || getRoleAccountId(entry.roleArn) || credentialSet.accountId,
+        models: entry.models,
+        roleArn: entry.roleArn,
+        externalId: entry.externalId,
+        durationSeconds: entry.durationSeconds,
+        maxTokens: entry.maxTokens,
+        maxConcurrentStreams: entry.maxConcurrentStreams,
+        quotas: entry.quotas,
+        requestsPerMinute: entry.requestsPerMinute,
+        tokensPerMinute: entry.tokensPerMinute,
+        team: entry.team,
+        budgets: entry.budgets,
+        teamBudgets,
+        resolveCredentials: entry.roleArn
+            ? createAssumeRoleProvider(credentialSet.resolve, {
+                roleArn: entry.roleArn,
+                externalId: entry.externalId,
+                sessionName: `bedrock-proxy-${label}`.replace(/[^\w+=,.@-]/g, "-").slice(0, 64),
+                durationSeconds: entry.durationSeconds,
+                region
+            })
+            : credentialSet.resolve
+    };
+}
+
+
+// -------------------------------------------
+// -- validate the budgets of a key or team --
+// -------------------------------------------
+export function validateBudgets(budgets, label) {
+    if (budgets === undefined) { return; }
+    for (const [period, levels] of Object.entries(budgets ?? {})) {
+        if (!BUDGET_PERIODS.includes(period) || typeof levels !== "object" || levels === null) {
+            throw new Error(`${label} has an invalid budget "${period}" (use ${BUDGET_PERIODS.join(", ")})`);
+        }
+        for (const [level, amount] of Object.entries(levels)) {
+            if (!BUDGET_LEVELS.includes(level) || !(typeof amount === "number" && amount > 0)) {
+                throw new Error(`${label} ${period} budget needs positive USD amounts for ${BUDGET_LEVELS.join(" / ")}`);
+            }
+        }
+    }
+}
+
+
+// -----------------------------------------
+// -- look up the record of a virtual key --
+// -----------------------------------------
+export function findVirtualKey(key) {
+    return keysByHash.get(hashProxyKey(key));
+}
+
+
+// ----------------------------------------------------------
+// -- keys, teams and credential sets loaded from the file --
+// ----------------------------------------------------------
+export function listVirtualKeys() {
+    return [...keysByHash.values()];
+}
+
+export function getFileTeams() {
+    return fileTeams;
+}
+
+export function getCredentialSet(name) {
+    return credentialSets.get(name);
+}
+
+
+// --------------------------------------------------
+// -- resolve the AWS credentials of a virtual key --
+// --------------------------------------------------
+export async function resolveVirtualKeyCredentials(keyRecord) {
+    const credentials = await keyRecord.resolveCredentials();
+    return {
+        region: keyRecord.region,
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey,
+        sessionToken: credentials.sessionToken,
+        accountId: keyRecord.accountId
+    };
+}
+
+
+// ----------------------------------------------
+// -- check a model against a key's allow-list --
+// ----------------------------------------------
+export function isModelAllowedForKey(keyRecord, modelName) {
+    const name = modelName.toLowerCase();
+    return !keyRecord.models || keyRecord.models.some((allowed) => {
+        const pattern = String(allowed).toLowerCase();
+        return pattern.endsWith("*") ? name.startsWith(pattern.slice(0, -1)) : pattern === name;
+    });
+}
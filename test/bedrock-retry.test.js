@@ -0,0 +1,109 @@
+// ======================================================================
+// == Bedrock Retries Tests                                            ==
+// ==                                                                  ==
+// == Which errors are retried, the backoff with full jitter and the   ==
+// == Retry-After hint when the retries run out.                       ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isThrottlingError, isRetryableError, withBedrockRetries } from "../api/bedrock-retry.js";
+
+
+// an error as the AWS SDK throws it
+const awsError = (name, httpStatusCode = 400) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+
+// a bedrockWrapper call that fails with the next error of `errors`, then yields `chunks`
+function flakyCall(errors, chunks = ["Hello"]) {
+    const calls = { count: 0 };
+    const call = async function* () {
+        const error = errors[calls.count++];
+        if (error) { throw error; }
+        yield* chunks;
+    };
+    return { call, calls };
+}
+
+async function collect(generator) {
+    const results = [];
+    for await (const result of generator) { results.push(result); }
+    return results;
+}
+
+
+test("classifies throttling, transient and final errors", () => {
+    for (const error of [awsError("ThrottlingException", 429), awsError("TooManyRequestsException", 429), awsError("Unknown", 429)]) {
+        assert.equal(isThrottlingError(error), true, error.name);
+        assert.equal(isRetryableError(error), true, error.name);
+    }
+    const transient = [
+        awsError("ServiceUnavailableException", 503), awsError("InternalServerException", 500), awsError("ModelNotReadyException"),
+        awsError("Unknown", 502), awsError("Unknown", 504), Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }),
+        Object.assign(new Error("timed out"), { name: "TimeoutError" }),
+    ];
+    for (const error of transient) {
+        assert.equal(isThrottlingError(error), false, error.name);
+        assert.equal(isRetryableError(error), true, error.name);
+    }
+    for (const error of [awsError("ValidationException"), awsError("AccessDeniedException", 403), awsError("ModelTimeoutException", 408), new TypeError("bug"), undefined]) {
+        assert.equal(isRetryableError(error), false, error?.name);
+    }
+});
+
+test("retries throttled calls until one succeeds", async () => {
+    const { call, calls } = flakyCall([awsError("ThrottlingException", 429), awsError("ServiceUnavailableException", 503)], ["Hello", " world"]);
+    const retries = [];
+    const results = await collect(withBedrockRetries(call, { baseDelayMs: 1, onRetry: (error, { attempt }) => retries.push([error.name, attempt]) }));
+    assert.deepEqual(results, ["Hello", " world"]);
+    assert.equal(calls.count, 3);
+    assert.deepEqual(retries, [["ThrottlingException", 1], ["ServiceUnavailableException", 2]]);
+});
+
+test("waits a random share of an exponential delay that is capped", async (t) => {
+    const delays = [];
+    const onRetry = (error, { delayMs }) => delays.push(delayMs);
+    const throttled = () => flakyCall(Array.from({ length: 4 }, () => awsError("ThrottlingException", 429))).call;
+
+    t.mock.method(Math, "random", () => 1);
+    await assert.rejects(collect(withBedrockRetries(throttled(), { maxRetries: 3, baseDelayMs: 2, maxDelayMs: 6, onRetry })));
+    assert.deepEqual(delays, [2, 4, 6]);
+
+    // full jitter: anything between no wait and the whole window
+    delays.length = 0;
+    Math.random.mock.mockImplementation(() => 0.5);
+    await assert.rejects(collect(withBedrockRetries(throttled(), { maxRetries: 3, baseDelayMs: 2, maxDelayMs: 6, onRetry })));
+    assert.deepEqual(delays, [1, 2, 3]);
+});
+
+test("throws the last error with a Retry-After hint when the retries run out", async () => {
+    const { call, calls } = flakyCall([awsError("ThrottlingException", 429), awsError("ThrottlingException", 429), awsError("ThrottlingException", 429)]);
+    await assert.rejects(collect(withBedrockRetries(call, { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 3 })), (error) => {
+        assert.equal(error.name, "ThrottlingException");
+        // the next (full) delay, min(3, 1 * 2^2)
+        assert.equal(error.retryAfterMs, 3);
+        return true;
+    });
+    assert.equal(calls.count, 3);
+});
+
+test("does not retry final errors or errors after the first chunk", async () => {
+    const { call, calls } = flakyCall([awsError("ValidationException")]);
+    await assert.rejects(collect(withBedrockRetries(call, { baseDelayMs: 1 })), { name: "ValidationException" });
+    assert.equal(calls.count, 1);
+
+    let attempts = 0;
+    const failsMidStream = async function* () {
+        attempts++;
+        yield "Hello";
+        throw awsError("ThrottlingException", 429);
+    };
+    const results = [];
+    await assert.rejects(async () => {
+        for await (const chunk of withBedrockRetries(failsMidStream, { baseDelayMs: 1 })) { results.push(chunk); }
+    }, (error) => error.name === "ThrottlingException" && error.retryAfterMs === undefined);
+    assert.deepEqual(results, ["Hello"]);
+    assert.equal(attempts, 1);
+});
@@ -0,0 +1,146 @@
+// ======================================================================
+// == Storage Tests                                                    ==
+// ==                                                                  ==
+// == Schema migrations of the SQLite storage and the data it keeps    ==
+// == across restarts, on database files in a temporary directory.     ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { mkdtemp, rm } from "fs/promises";
+import { createSqliteStorage, openStorage, getStorage } from "../api/storage.js";
+
+
+let tempDir;
+let fileCount = 0;
+
+const newDatabaseFile = () => path.join(tempDir, `storage-${++fileCount}.db`);
+
+const key = { id: "key_1", name: "ci", credentials: "main", disabled: false, createdAt: "2026-10-01T00:00:00.000Z", updatedAt: "2026-10-01T00:00:00.000Z" };
+
+
+before(async () => {
+    tempDir = await mkdtemp(path.join(os.tmpdir(), "bedrock-proxy-test-"));
+});
+
+after(() => rm(tempDir, { recursive: true, force: true }));
+
+
+// ----------------
+// -- migrations --
+// ----------------
+test("migrates a new database to the latest schema version", async () => {
+    const filename = newDatabaseFile();
+    const storage = createSqliteStorage(filename);
+    assert.equal(storage.schemaVersion, 1);
+    await storage.close();
+
+    const db = new Database(filename, { readonly: true });
+    try {
+        assert.deepEqual(db.prepare("SELECT version FROM schema_migrations").pluck().all(), [1]);
+        const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").pluck().all();
+        assert.deepEqual(tables, ["key_hashes", "key_last_used", "keys", "request_logs", "schema_migrations", "teams", "usage_daily"]);
+    } finally {
+        db.close();
+    }
+});
+
+test("keeps the data of a database that is opened again without migrating it twice", async () => {
+    const filename = newDatabaseFile();
+    let storage = createSqliteStorage(filename);
+    await storage.saveKey(key);
+    await storage.setKeyHash("hash-1", key.id);
+    await storage.addUsage("2026-10-01", { caller: key.id, model: "Claude-3-Haiku" }, { requests: 1, prompt_tokens: 10 });
+    await storage.close();
+
+    storage = createSqliteStorage(filename);
+    try {
+        assert.equal(storage.schemaVersion, 1);
+        assert.deepEqual(await storage.findKeyByHash("hash-1"), key);
+        assert.equal((await storage.getUsage("2026-10-01", "2026-10-01"))[0].prompt_tokens, 10);
+    } finally {
+        await storage.close();
+    }
+    const db = new Database(filename, { readonly: true });
+    try {
+        assert.equal(db.prepare("SELECT COUNT(*) FROM schema_migrations").pluck().get(), 1);
+    } finally {
+        db.close();
+    }
+});
+
+test("refuses a database with a schema from a newer proxy", () => {
+    const filename = newDatabaseFile();
+    const db = new Database(filename);
+    db.exec("CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)");
+    db.prepare("INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)").run(2, new Date().toISOString());
+    db.close();
+
+    assert.throws(() => createSqliteStorage(filename), /The storage has schema version 2, this proxy only knows 1/);
+});
+
+
+// -----------------
+// -- stored data --
+// -----------------
+test("drops the hashes of a deleted key and ignores expired hashes", async () => {
+    const storage = createSqliteStorage(":memory:");
+    try {
+        await storage.saveKey(key);
+        await storage.setKeyHash("current", key.id);
+        await storage.setKeyHash("expired", key.id, new Date(Date.now() - 1000).toISOString());
+        await storage.setKeyHash("grace", key.id, new Date(Date.now() + 60 * 1000).toISOString());
+        assert.equal((await storage.findKeyByHash("current"))?.id, key.id);
+        assert.equal((await storage.findKeyByHash("grace"))?.id, key.id);
+        assert.equal(await storage.findKeyByHash("expired"), undefined);
+
+        await storage.deleteKey(key.id);
+        assert.equal(await storage.findKeyByHash("current"), undefined);
+        assert.equal(await storage.findKeyByHash("grace"), undefined);
+    } finally {
+        await storage.close();
+    }
+});
+
+test("adds up usage per day, caller, team and model and prunes old rows", async () => {
+    const storage = createSqliteStorage(":memory:");
+    try {
+        await storage.addUsage("2026-09-30", { caller: "ci", team: "search", model: "Claude-3-Haiku" }, { requests: 1, cost_usd: 0.5 });
+        await storage.addUsage("2026-10-01", { caller: "ci", team: "search", model: "Claude-3-Haiku" }, { requests: 1, errors: 1, cost_usd: 0.25 });
+        await storage.addUsage("2026-10-01", { caller: "ci", team: "search", model: "Claude-3-Haiku" }, { requests: 1, cost_usd: 0.25 });
+        await storage.addUsage("2026-10-01", { caller: "ci", model: "Claude-3-Haiku" }, { requests: 1 });
+        const rows = (await storage.getUsage("2026-10-01", "2026-10-01")).map((row) => [row.team, row.requests, row.errors, row.cost_usd]);
+        assert.deepEqual(rows.sort(), [
+            ["", 1, 0, 0],
+            ["search", 2, 1, 0.5]
+        ]);
+
+        await storage.addRequestLog({ time: "2026-09-30T12:00:00.000Z", caller: "ci", status: 200 });
+        await storage.addRequestLog({ time: "2026-10-01T12:00:00.000Z", caller: "ci", status: 429 });
+        await storage.prune({ usageBefore: "2026-10-01", requestLogsBefore: "2026-10-01T00:00:00.000Z" });
+        assert.equal((await storage.getUsage("2026-09-01", "2026-10-31")).length, 2);
+        assert.deepEqual((await storage.listRequestLogs()).map((log) => log.status), [429]);
+    } finally {
+        await storage.close();
+    }
+});
+
+
+// -----------------
+// -- storage url --
+// -----------------
+test("opens the storage of a sqlite:// or memory:// url", async () => {
+    const filename = newDatabaseFile();
+    const storage = await openStorage(`sqlite://${filename}`);
+    assert.equal(storage.description, `SQLite at ${filename}`);
+    assert.equal(getStorage(), storage);
+    assert.equal((await openStorage("memory://")).description, "in-memory SQLite");
+    await assert.rejects(openStorage("postgres://localhost/proxy"), /Unsupported storage "postgres:"/);
+    await getStorage().close();
+});
@@ -0,0 +1,50 @@
+// ======================================================================
+// == Usage Tests                                                      ==
+// ==                                                                  ==
+// == The CSV export of usage reports, with key, team and model names  ==
+// == that a spreadsheet must not run as formulas.                     ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatUsageCsv } from "../api/usage.js";
+
+
+const metrics = { requests: 2, errors: 1, prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost_usd: 0.0001 };
+const report = (data, groupBy = ["key", "team", "model"]) => ({ group_by: groupBy, data });
+
+
+test("writes a header and one line per row with CRLF line endings", () => {
+    const csv = formatUsageCsv(report([
+        { period_start: "2026-10-01", period_end: "2026-10-01", key: "search", key_id: "key_1", team: null, model: "Claude-3-Haiku", ...metrics },
+    ]));
+    assert.equal(csv, "period_start,period_end,key,key_id,team,model,requests,errors,prompt_tokens,completion_tokens,total_tokens,cost_usd\r\n"
+        + "2026-10-01,2026-10-01,search,key_1,,Claude-3-Haiku,2,1,10,5,15,0.000100\r\n");
+});
+
+test("prefixes names that a spreadsheet would read as a formula with a quote", () => {
+    const csv = formatUsageCsv(report([
+        { period_start: "2026-10-01", period_end: "2026-10-31", key: "=HYPERLINK(\"http://evil\",\"x\")", key_id: "key_1", team: "+cmd|' /C calc'!A0", model: "-2+3", ...metrics },
+        { period_start: "2026-10-01", period_end: "2026-10-31", key: "@SUM(A1:A9)", key_id: "key_2", team: "ops", model: "Claude-3-Haiku", ...metrics },
+    ]));
+    const [, first, second] = csv.split("\r\n");
+    assert.equal(first, "2026-10-01,2026-10-31,\"'=HYPERLINK(\"\"http://evil\"\",\"\"x\"\")\",key_1,'+cmd|' /C calc'!A0,'-2+3,2,1,10,5,15,0.000100");
+    assert.equal(second, "2026-10-01,2026-10-31,'@SUM(A1:A9),key_2,ops,Claude-3-Haiku,2,1,10,5,15,0.000100");
+});
+
+test("quotes values with commas, quotes and line breaks", () => {
+    const csv = formatUsageCsv(report([
+        { period_start: "2026-10-01", period_end: "2026-10-01", team: "a, \"b\"\nc", ...metrics },
+    ], ["team"]));
+    assert.equal(csv.split("\r\n")[1], "2026-10-01,2026-10-01,\"a, \"\"b\"\"\nc\",2,1,10,5,15,0.000100");
+});
+
+test("does not prefix numbers, also negative ones", () => {
+    const csv = formatUsageCsv(report([
+        { period_start: "2026-10-01", period_end: "2026-10-01", model: "Claude-3-Haiku", ...metrics, errors: -1 },
+    ], ["model"]));
+    assert.equal(csv.split("\r\n")[1], "2026-10-01,2026-10-01,Claude-3-Haiku,2,-1,10,5,15,0.000100");
+});
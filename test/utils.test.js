@@ -0,0 +1,42 @@
+// ======================================================================
+// == Utils Tests                                                      ==
+// ==                                                                  ==
+// == Checks of chat completions requests against a model's            ==
+// == capabilities (the 400 errors of the proxy).                      ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateModelCapabilities } from "../utils.js";
+
+
+const textModel = { modelName: "Text", capabilities: { tools: true, streaming: true, system_prompt: true, vision: false }, context_window: 1000 };
+
+
+test("accepts requests the model supports", () => {
+    assert.deepEqual(validateModelCapabilities(textModel, { messages: [{ role: "system", content: "be brief" }, { role: "user", content: "hi" }], stream: true }), { error: false });
+});
+
+test("rejects messages that are not an array of objects", () => {
+    for (const messages of ["hi", { role: "user", content: "hi" }, null, 42, ["hi"], [null]]) {
+        assert.deepEqual(validateModelCapabilities(textModel, { messages }), {
+            error: true,
+            message: "`messages` must be an array of message objects",
+            param: "messages",
+            code: "invalid_type"
+        }, JSON.stringify(messages));
+    }
+});
+
+test("rejects images for models without vision", () => {
+    const messages = [{ role: "user", content: [{ type: "image_url", image_url: { url: "data:image/png;base64,AA==" } }] }];
+    assert.equal(validateModelCapabilities(textModel, { messages }).code, "image_not_supported");
+});
+
+test("rejects messages longer than the context window", () => {
+    const messages = [{ role: "user", content: "x".repeat(5000) }];
+    assert.equal(validateModelCapabilities(textModel, { messages }).code, "context_length_exceeded");
+});
@@ -0,0 +1,157 @@
+// ======================================================================
+// == Bedrock Wrapper Utils Tests                                      ==
+// ==                                                                  ==
+// == Conversion of openai messages, content and tools to the model's  ==
+// == format.                                                          ==
+// ======================================================================
+
+// -------------
+// -- imports --
+// -------------
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { pathToFileURL } from "url";
+import { mkdtemp, mkdir, writeFile, symlink, rm } from "fs/promises";
+import {
+    normalizeMessageContent, InvalidRequestError,
+    convertOpenAIMessagesToAnthropic, convertOpenAIToolsToAnthropic, convertOpenAIToolChoiceToAnthropic
+} from "../api/local-modules/bedrock-wrapper/utils.js";
+
+
+const visionModel = { modelName: "Vision", messages_api: true, capabilities: { vision: true } };
+const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+
+const imageMessage = (url) => ({ role: "user", content: [{ type: "image_url", image_url: { url } }] });
+
+
+// ------------------------------------------------
+// -- image_url parts that reference local files --
+// ------------------------------------------------
+describe("local image files", () => {
+    let tempDir;
+    let root;
+    const options = () => ({ allowLocalImages: true, localImageRoot: root });
+
+    before(async () => {
+        tempDir = await mkdtemp(path.join(os.tmpdir(), "bedrock-wrapper-test-"));
+        root = path.join(tempDir, "images");
+        await mkdir(path.join(root, "nested"), { recursive: true });
+        await writeFile(path.join(root, "nested", "cat.png"), PNG);
+        await writeFile(path.join(root, "nested", "notes.txt"), "not an image");
+        await writeFile(path.join(tempDir, "secret.png"), PNG);
+        await symlink(path.join(tempDir, "secret.png"), path.join(root, "link.png"));
+    });
+
+    after(() => rm(tempDir, { recursive: true, force: true }));
+
+    test("reads relative, absolute and file:// paths inside the root", async () => {
+        for (const url of ["nested/cat.png", path.join(root, "nested", "cat.png"), pathToFileURL(path.join(root, "nested", "cat.png")).href]) {
+            const [block] = await normalizeMessageContent(imageMessage(url), visionModel, options());
+            assert.deepEqual(block, { type: "image", source: { type: "base64", media_type: "image/png", data: PNG.toString("base64") } });
+        }
+    });
+
+    test("rejects paths that escape the root", async () => {
+        for (const url of ["../secret.png", "nested/../../secret.png", path.join(tempDir, "secret.png"), pathToFileURL(path.join(tempDir, "secret.png")).href, "/etc/passwd.png"]) {
+            await assert.rejects(normalizeMessageContent(imageMessage(url), visionModel, options()), (error) => {
+                assert.ok(error instanceof InvalidRequestError);
+                assert.equal(error.code, "invalid_image_url");
+                assert.match(error.message, /outside the local image directory/);
+                return true;
+            }, url);
+        }
+    });
+
+    test("rejects symlinks inside the root that point outside of it", async () => {
+        await assert.rejects(normalizeMessageContent(imageMessage("link.png"), visionModel, options()), /outside the local image directory/);
+    });
+
+    test("rejects local files without allowLocalImages or without a root", async () => {
+        for (const wrapperOptions of [{ localImageRoot: root }, { allowLocalImages: true }]) {
+            await assert.rejects(normalizeMessageContent(imageMessage("nested/cat.png"), visionModel, wrapperOptions), /Local image files are not enabled/);
+        }
+    });
+
+    test("rejects missing files and non image extensions", async () => {
+        await assert.rejects(normalizeMessageContent(imageMessage("nested/dog.png"), visionModel, options()), /Unable to read image file: dog.png/);
+        await assert.rejects(normalizeMessageContent(imageMessage("nested/notes.txt"), visionModel, options()), /Unsupported image file type: notes.txt/);
+    });
+});
+
+
+// ----------------------------------------------
+// -- tool calls, tool results and definitions --
+// ----------------------------------------------
+describe("tool conversion", () => {
+    test("turns assistant tool_calls into tool_use blocks after the text", () => {
+        const [message] = convertOpenAIMessagesToAnthropic([{
+            role: "assistant",
+            content: "Let me check.",
+            tool_calls: [
+                { id: "call_1", type: "function", function: { name: "get_weather", arguments: "{\"city\":\"Rome\"}" } },
+                { id: "call_2", type: "function", function: { name: "get_time", arguments: "" } },
+            ],
+        }]);
+        assert.deepEqual(message, {
+            role: "assistant",
+            content: [
+                { type: "text", text: "Let me check." },
+                { type: "tool_use", id: "call_1", name: "get_weather", input: { city: "Rome" } },
+                { type: "tool_use", id: "call_2", name: "get_time", input: {} },
+            ],
+        });
+    });
+
+    test("groups consecutive tool results into one user turn", () => {
+        const converted = convertOpenAIMessagesToAnthropic([
+            { role: "user", content: "weather and time in Rome?" },
+            { role: "assistant", content: null, tool_calls: [
+                { id: "call_1", type: "function", function: { name: "get_weather", arguments: "{}" } },
+                { id: "call_2", type: "function", function: { name: "get_time", arguments: "{}" } },
+            ] },
+            { role: "tool", tool_call_id: "call_1", content: "sunny" },
+            { role: "tool", tool_call_id: "call_2", content: "noon" },
+            { role: "user", content: "thanks" },
+        ]);
+        assert.deepEqual(converted.slice(2), [
+            { role: "user", content: [
+                { type: "tool_result", tool_use_id: "call_1", content: "sunny" },
+                { type: "tool_result", tool_use_id: "call_2", content: "noon" },
+            ] },
+            { role: "user", content: "thanks" },
+        ]);
+        assert.deepEqual(converted[1].content.map((block) => block.type), ["tool_use", "tool_use"]);
+    });
+
+    test("rejects tool call arguments that are not JSON", () => {
+        const messages = [{ role: "assistant", tool_calls: [{ id: "call_1", type: "function", function: { name: "f", arguments: "{city:" } }] }];
+        assert.throws(() => convertOpenAIMessagesToAnthropic(messages), (error) => {
+            assert.ok(error instanceof InvalidRequestError);
+            assert.equal(error.param, "messages");
+            return true;
+        });
+    });
+
+    test("converts function definitions to tools with an input schema", () => {
+        const parameters = { type: "object", properties: { city: { type: "string" } }, required: ["city"] };
+        assert.deepEqual(convertOpenAIToolsToAnthropic([
+            { type: "function", function: { name: "get_weather", description: "Current weather", parameters } },
+            { type: "function", function: { name: "get_time" } },
+        ]), [
+            { name: "get_weather", description: "Current weather", input_schema: parameters },
+            { name: "get_time", input_schema: { type: "object", properties: {} } },
+        ]);
+        assert.throws(() => convertOpenAIToolsToAnthropic([{ type: "retrieval" }]), /Unsupported tool definition/);
+    });
+
+    test("maps tool_choice and parallel_tool_calls", () => {
+        assert.deepEqual(convertOpenAIToolChoiceToAnthropic("auto"), { type: "auto" });
+        assert.deepEqual(convertOpenAIToolChoiceToAnthropic("required"), { type: "any" });
+        assert.deepEqual(convertOpenAIToolChoiceToAnthropic("none", false), { type: "none" });
+        assert.deepEqual(convertOpenAIToolChoiceToAnthropic({ type: "function", function: { name: "get_weather" } }, false),
+            { type: "tool", name: "get_weather", disable_parallel_tool_use: true });
+        assert.throws(() => convertOpenAIToolChoiceToAnthropic("sometimes"), (error) => error.param === "tool_choice");
+    });
+});
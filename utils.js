@@ -18,23 +18,105 @@ export function toBoolean(str = 'false') {
 // -------------------------
 // -- AWS Creds Extractor --
 // -------------------------
+// long-term keys:  region.AKIA....secret
+// temporary keys:  region.ASIA....secret.sessionToken
 export function extractAWSCreds(token) {
     const keyParts = token.split(".")
+    const accessKeyId = keyParts[1] || "";
 
-    if (keyParts.length !== 3 || !keyParts[1].startsWith("AKIA") || keyParts[1].length !== 20){
+    if (accessKeyId.length !== 20 || !(accessKeyId.startsWith("AKIA") || accessKeyId.startsWith("ASIA"))) {
+        return {
+            error: true,
+            message: "Invalid AWS API key"
+        };
+    }
+    if (accessKeyId.startsWith("ASIA") && keyParts.length !== 4) {
+        return {
+            error: true,
+            message: "Temporary AWS credentials (ASIA...) need a session token: region.ASIA....secret.sessionToken"
+        };
+    }
+    if (accessKeyId.startsWith("AKIA") && keyParts.length !== 3) {
         return {
             error: true,
             message: "Invalid AWS API key"
         };
     }
 
-    const [ AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY ] = keyParts;
+    const [ AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN ] = keyParts;
     return {
         error: false,
         credentials: {
             AWS_REGION,
             AWS_ACCESS_KEY_ID,
-            AWS_SECRET_ACCESS_KEY
+            AWS_SECRET_ACCESS_KEY,
+            AWS_SESSION_TOKEN
         }
     };
 }
+
+
+// ---------------------------------------------------
+// -- check if an AWS error means the creds expired --
+// ---------------------------------------------------
+const EXPIRED_CREDENTIALS_ERRORS = ["ExpiredTokenException", "ExpiredToken", "TokenRefreshRequired"];
+
+export function isExpiredCredentialsError(error) {
+    return EXPIRED_CREDENTIALS_ERRORS.includes(error?.name) || EXPIRED_CREDENTIALS_ERRORS.includes(error?.Code);
+}
+
+
+// -----------------------------------------------------
+// -- text length of string or multi-part msg content --
+// -----------------------------------------------------
+export function getContentLength(content) {
+    if (typeof content === 'string') {
+        return content.length;
+    }
+    if (Array.isArray(content)) {
+        return content.reduce((acc, part) => acc + (part.type === 'text' && part.text ? part.text.length : 0), 0);
+    }
+    return 0;
+}
+
+
+// ----------------------------------------------------
+// -- rough token estimate (~4 characters per token) --
+// ----------------------------------------------------
+export function estimateTokens(text = '') {
+    return Math.ceil(text.length / 4);
+}
+
+export function estimatePromptTokens(messages = []) {
+    return Math.ceil(messages.reduce((acc, msg) => acc + getContentLength(msg.content), 0) / 4);
+}
+
+
+// ------------------------------------------------------
+// -- check a chat completions request against a model --
+// ------------------------------------------------------
+export function validateModelCapabilities(supportedModel, { messages = [], tools, stream = false } = {}) {
+    const { modelName, capabilities = {}, context_window } = supportedModel;
+    const unsupported = (message, param, code) => ({ error: true, message, param, code });
+
+    if (!Array.isArray(messages) || messages.some((msg) => msg === null || typeof msg !== 'object')) {
+        return unsupported('`messages` must be an array of message objects', 'messages', 'invalid_type');
+    }
+    if (Array.isArray(tools) && tools.length > 0 && !capabilities.tools) {
+        return unsupported(`Model ${modelName} does not support tool calling`, 'tools', 'tools_not_supported');
+    }
+    if (stream && !capabilities.streaming) {
+        return unsupported(`Model ${modelName} does not support streaming`, 'stream', 'stream_not_supported');
+    }
+    if (!capabilities.system_prompt && messages.some((msg) => msg.role === 'system')) {
+        return unsupported(`Model ${modelName} does not support system messages`, 'messages', 'system_not_supported');
+    }
+    if (!capabilities.vision && messages.some((msg) => Array.isArray(msg.content) && msg.content.some((part) => part.type === 'image_url'))) {
+        return unsupported(`Model ${modelName} does not support image inputs`, 'messages', 'image_not_supported');
+    }
+    if (context_window && estimatePromptTokens(messages) > context_window) {
+        return unsupported(`This model's maximum context length is ${context_window} tokens, however the messages are too long`, 'messages', 'context_length_exceeded');
+    }
+
+    return { error: false };
+}